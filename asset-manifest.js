@@ -0,0 +1,51 @@
+// Generated by tools/build-asset-manifest.js - do not edit by hand.
+// Precache list for sw.js: URL -> content hash.
+self.ASSET_MANIFEST = {
+  "version": "55145813bf",
+  "assets": {
+    "/": "fa9a96af77",
+    "/about.html": "cd309a65d9",
+    "/contact.html": "81357cff20",
+    "/css/responsive.css": "fc6fc58d91",
+    "/css/style.css": "414b15dc2b",
+    "/data/estimator-rates.json": "7499bd94f5",
+    "/data/image-variants.json": "a522eda5e5",
+    "/data/projects.json": "704f6ea483",
+    "/gallery.html": "0f5d2b0508",
+    "/images/Logo.png": "ca6b2c7409",
+    "/images/Updated.png": "2cd1cc1a98",
+    "/index.html": "fa9a96af77",
+    "/js/before-after.js": "8fef0dad7c",
+    "/js/boost-performance-2.js": "658a5015c6",
+    "/js/boost-performance-3.js": "cbdaeff3ec",
+    "/js/boost-performance-4.js": "0b4bce6f14",
+    "/js/boost-performance.js": "77bad41ef3",
+    "/js/connectivity.js": "e2de4f4eba",
+    "/js/cost-estimator.js": "f75c7aa78c",
+    "/js/css-optimizer.js": "8d9e7777c3",
+    "/js/exif-date.js": "3a439ff156",
+    "/js/form-queue.js": "ded03c10b5",
+    "/js/form-transport.js": "0e208f0ac7",
+    "/js/form-validation.js": "0b4ab54f0c",
+    "/js/gallery-data.js": "511c5ce795",
+    "/js/gallery.js": "3ea977fcdc",
+    "/js/image-optimizer.js": "0fb22a979d",
+    "/js/lightbox-history.js": "e3e8c6ef7b",
+    "/js/lightbox-info.js": "439de18dc3",
+    "/js/lightbox-share.js": "9c84ac3b50",
+    "/js/lightbox-slideshow.js": "f5e133f337",
+    "/js/lightbox-zoom.js": "4640a73c65",
+    "/js/lightbox.js": "66f7835f72",
+    "/js/main.js": "2d82a53cbb",
+    "/js/mobile-layout.js": "55016fc9db",
+    "/js/offline.js": "3fffc83606",
+    "/js/performance-monitor.js": "07b35513b6",
+    "/js/photo-attachments.js": "ae0cc7f38e",
+    "/js/quote-wizard.js": "dfeb7b1a3c",
+    "/js/resource-prioritizer.js": "5ca10a7282",
+    "/js/runtime-cache.js": "e966f08ab4",
+    "/js/web-vitals.js": "e1c0003934",
+    "/offline.html": "12ee94b9db",
+    "/services.html": "339d6daf1d"
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * Before/After comparison slider
+ * - For projects with a paired "before" photo in data/projects.json
+ * - Drag the divider with mouse or touch, or focus it and use the arrow keys
+ *   (Home / End jump to either photo, Page Up / Page Down move in big steps)
+ * - Gallery cards (gallery-data.js) show the slider inline, and the Lightbox
+ *   swaps its single image for a slider whenever the current photo has a pair
+ * - Both photos are decoded before the slider shows, so half the frame is
+ *   never blank
+ * A tap without a drag still passes through, so cards keep opening the viewer.
+ */
+(function () {
+  "use strict";
+
+  const KEY_STEP = 5;
+  const PAGE_STEP = 25;
+  const DRAG_THRESHOLD = 4; // px before a press counts as a drag
+
+  function clamp(value) {
+    return Math.max(0, Math.min(100, value));
+  }
+
+  function setPosition(slider, value) {
+    const position = clamp(Math.round(value * 10) / 10);
+    slider.style.setProperty("--position", position + "%");
+    const handle = slider.querySelector(".before-after-handle");
+    handle.setAttribute("aria-valuenow", String(Math.round(position)));
+    handle.setAttribute(
+      "aria-valuetext",
+      `${Math.round(position)}% before, ${100 - Math.round(position)}% after`
+    );
+    slider.dataset.position = position;
+  }
+
+  // Show the slider only once both halves can paint
+  function whenLoaded(slider) {
+    const images = Array.from(slider.querySelectorAll("img"));
+    slider.classList.add("is-loading");
+    const ready = images.map((img) =>
+      img.decode
+        ? img.decode().catch(() => {})
+        : new Promise((resolve) => {
+            if (img.complete) return resolve();
+            img.addEventListener("load", resolve, { once: true });
+            img.addEventListener("error", resolve, { once: true });
+          })
+    );
+    return Promise.all(ready).then(() => slider.classList.remove("is-loading"));
+  }
+
+  function bind(slider) {
+    const handle = slider.querySelector(".before-after-handle");
+    let start = null;
+    let dragged = false;
+
+    const positionFromEvent = (e) => {
+      const rect = slider.getBoundingClientRect();
+      return ((e.clientX - rect.left) / rect.width) * 100;
+    };
+
+    slider.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0) return;
+      start = { x: e.clientX, id: e.pointerId };
+      dragged = false;
+    });
+
+    slider.addEventListener("pointermove", (e) => {
+      if (!start || e.pointerId !== start.id) return;
+      if (!dragged && Math.abs(e.clientX - start.x) < DRAG_THRESHOLD) return;
+      if (!dragged) {
+        dragged = true;
+        slider.classList.add("is-dragging");
+        slider.setPointerCapture(e.pointerId);
+      }
+      setPosition(slider, positionFromEvent(e));
+    });
+
+    const end = (e) => {
+      if (!start || e.pointerId !== start.id) return;
+      start = null;
+      slider.classList.remove("is-dragging");
+      if (slider.hasPointerCapture(e.pointerId)) {
+        slider.releasePointerCapture(e.pointerId);
+      }
+    };
+    slider.addEventListener("pointerup", end);
+    slider.addEventListener("pointercancel", end);
+
+    // A drag is not a click: don't open the lightbox after moving the divider
+    slider.addEventListener(
+      "click",
+      (e) => {
+        if (!dragged) return;
+        dragged = false;
+        e.preventDefault();
+        e.stopPropagation();
+      },
+      true
+    );
+
+    // Keep horizontal drags from reaching the lightbox's swipe navigation
+    ["touchstart", "touchend"].forEach((type) => {
+      slider.addEventListener(type, (e) => e.stopPropagation(), {
+        passive: true,
+      });
+    });
+
+    handle.addEventListener("keydown", (e) => {
+      const current = Number(slider.dataset.position);
+      const moves = {
+        ArrowLeft: current - KEY_STEP,
+        ArrowDown: current - KEY_STEP,
+        ArrowRight: current + KEY_STEP,
+        ArrowUp: current + KEY_STEP,
+        PageDown: current - PAGE_STEP,
+        PageUp: current + PAGE_STEP,
+        Home: 0,
+        End: 100,
+      };
+      if (!(e.key in moves)) return;
+      e.preventDefault();
+      // Arrow keys belong to the slider while it has focus, not the lightbox
+      e.stopPropagation();
+      setPosition(slider, moves[e.key]);
+    });
+  }
+
+  function fill(slider, project) {
+    const title = project.title || project.alt || "";
+    const after = slider.querySelector(".before-after-after");
+    const before = slider.querySelector(".before-after-before img");
+    after.src = project.src;
+    after.alt = title ? `After: ${title}` : "After";
+    before.src = project.before;
+    before.alt = title ? `Before: ${title}` : "Before";
+    setPosition(slider, 50);
+    return whenLoaded(slider);
+  }
+
+  const BeforeAfter = {
+    // Build a slider for a { src, before, title } project entry
+    create(project, options) {
+      const opts = Object.assign({ loading: "lazy" }, options);
+      const slider = document.createElement("div");
+      slider.className = "before-after";
+      slider.innerHTML = `
+        <img class="before-after-after" decoding="async" draggable="false" />
+        <div class="before-after-before">
+          <img decoding="async" draggable="false" />
+        </div>
+        <span class="before-after-label before-after-label-before" aria-hidden="true">Before</span>
+        <span class="before-after-label before-after-label-after" aria-hidden="true">After</span>
+        <div
+          class="before-after-handle"
+          role="slider"
+          tabindex="0"
+          aria-label="Before and after comparison"
+          aria-valuemin="0"
+          aria-valuemax="100"
+        ></div>`;
+      slider
+        .querySelectorAll("img")
+        .forEach((img) => (img.loading = opts.loading));
+
+      bind(slider);
+      fill(slider, project);
+      return slider;
+    },
+
+    // Point an existing slider at another project and recentre the divider
+    update(slider, project) {
+      return fill(slider, project);
+    },
+  };
+
+  // ------------------------------
+  // Lightbox integration
+  // ------------------------------
+  document.addEventListener("lightbox:render", (e) => {
+    const { lightbox, image } = e.detail;
+    const photo = lightbox.el.image;
+    let slider = lightbox.el.content.querySelector(".before-after");
+
+    if (image && image.before) {
+      if (slider) {
+        BeforeAfter.update(slider, image);
+      } else {
+        slider = BeforeAfter.create(image, { loading: "eager" });
+        slider.classList.add("before-after-lightbox");
+        photo.insertAdjacentElement("afterend", slider);
+      }
+      slider.hidden = false;
+      photo.hidden = true;
+    } else if (slider) {
+      slider.hidden = true;
+      photo.hidden = false;
+    }
+  });
+
+  window.BeforeAfter = BeforeAfter;
+})();
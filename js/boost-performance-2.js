@@ -33,6 +33,9 @@
 
       window.fetch = function (input, options = {}) {
         try {
+          // Only merge idempotent reads; form POSTs must each reach the server
+          const method = (options.method || (input && input.method) || 'GET').toUpperCase();
+          if (method !== 'GET') return origFetch(input, options);
           const url = typeof input === 'string' ? input : input.url;
           const key = `${url}|${options.method || 'GET'}|${JSON.stringify(options.headers || {})}`;
           const now = Date.now();
@@ -129,23 +132,16 @@
       });
     },
 
-    // 6) Collect a few extra web-vital style signals (console-only)
+    // 6) Log web vitals as they settle (console-only); the observers live in
+    // web-vitals.js
     observeWebVitals() {
-      if (!('PerformanceObserver' in window)) return;
-      try {
-        const lcpObs = new PerformanceObserver((list) => {
-          const last = list.getEntries().pop();
-          if (last) console.log('LCP:', Math.round(last.startTime) + 'ms');
-        });
-        lcpObs.observe({ type: 'largest-contentful-paint', buffered: true });
-      } catch (_) {}
-      try {
-        const fidObs = new PerformanceObserver((list) => {
-          const e = list.getEntries()[0];
-          if (e) console.log('FID:', Math.round(e.processingStart - e.startTime) + 'ms');
-        });
-        fidObs.observe({ type: 'first-input', buffered: true });
-      } catch (_) {}
+      if (!window.WebVitals) return;
+      window.WebVitals.onMetric((metric) => {
+        const value = metric.name === 'cls'
+          ? metric.value.toFixed(3)
+          : Math.round(metric.value) + 'ms';
+        console.log(`${metric.name.toUpperCase()}:`, value, `(${metric.rating})`);
+      });
     },
 
     // 7) Pause prefetch when tab is hidden (battery/network friendly)
@@ -271,12 +271,14 @@
     // ------------------------------
     registerServiceWorker() {
       if ("serviceWorker" in navigator) {
+        this.trackFormEdits();
         window.addEventListener("load", () => {
-          // Register at site root for widest scope
+          // Register at site root for widest scope; "none" makes update
+          // checks see a new asset-manifest.js (imported by sw.js) at once
           navigator.serviceWorker
-            .register("/sw.js")
+            .register("/sw.js", { updateViaCache: "none" })
             .then((reg) => {
-              // Auto-update
+              this.watchForUpdate(reg);
               if (reg && reg.update) reg.update();
             })
             .catch(() => {});
@@ -284,6 +286,129 @@
       }
     },
 
+    // A new worker waits until the visitor accepts (or navigates, see sw.js)
+    watchForUpdate(reg) {
+      if (!reg) return;
+      // Without a controller this is the first install, not an update
+      const isUpdate = () => !!navigator.serviceWorker.controller;
+      if (reg.waiting && isUpdate()) this.offerUpdate(reg.waiting);
+
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed" && isUpdate()) {
+            this.offerUpdate(worker);
+          }
+        });
+      });
+
+      // Only the tab that accepted reloads; others keep their page as is
+      navigator.serviceWorker.addEventListener("controllerchange", () => {
+        if (this.updateAccepted) window.location.reload();
+        else this.hideUpdateToast();
+      });
+    },
+
+    // Forms with unsent input: edits mark them, submit-and-reset clears them
+    trackFormEdits() {
+      this.editedForms = new Set();
+      const mark = (e) => {
+        const form = e.target && e.target.form;
+        if (!form || this.editedForms.has(form)) return;
+        this.editedForms.add(form);
+        this.hideUpdateToast();
+      };
+      document.addEventListener("input", mark, true);
+      document.addEventListener("change", mark, true);
+      document.addEventListener(
+        "reset",
+        (e) => {
+          this.editedForms.delete(e.target);
+          // "reset" fires before the fields are cleared
+          setTimeout(() => {
+            if (this.editedForms.size === 0 && this.pendingUpdate) {
+              this.offerUpdate(this.pendingUpdate);
+            }
+          });
+        },
+        true
+      );
+    },
+
+    // Values put back without input events (the quote wizard's saved
+    // answers, the browser restoring a page) differ from the markup defaults
+    hasRestoredInput() {
+      const changed = (field) => {
+        const ignored = ["hidden", "submit", "button", "reset", "output"];
+        if (ignored.includes(field.type)) {
+          return false;
+        }
+        if (field.type === "checkbox" || field.type === "radio") {
+          return field.checked !== field.defaultChecked;
+        }
+        if (field.type === "file") return field.files.length > 0;
+        if (field.options) {
+          const options = Array.from(field.options);
+          const defaults = options.map((option) => option.defaultSelected);
+          // With no selected attribute a drop-down starts on its first option
+          if (!field.multiple && !defaults.includes(true)) defaults[0] = true;
+          return options.some((option, i) => option.selected !== defaults[i]);
+        }
+        return "defaultValue" in field && field.value !== field.defaultValue;
+      };
+      return Array.from(document.forms).some((form) =>
+        Array.from(form.elements).some(changed)
+      );
+    },
+
+    offerUpdate(worker) {
+      this.pendingUpdate = worker;
+      // Never prompt someone halfway through a form; ask once it's sent
+      if (this.editedForms && this.editedForms.size > 0) return;
+      if (this.hasRestoredInput()) return;
+      this.showUpdateToast();
+    },
+
+    showUpdateToast() {
+      let toast = this.updateToast;
+      if (!toast) {
+        toast = document.createElement("div");
+        toast.className = "sw-update-toast";
+        toast.setAttribute("role", "status");
+        toast.innerHTML =
+          '<span><i class="fas fa-sync-alt" aria-hidden="true"></i> Site updated</span>' +
+          '<button type="button" class="sw-update-refresh">Refresh</button>' +
+          '<button type="button" class="sw-update-dismiss" aria-label="Dismiss">' +
+          '<i class="fas fa-times" aria-hidden="true"></i></button>';
+        toast
+          .querySelector(".sw-update-refresh")
+          .addEventListener("click", () => this.acceptUpdate());
+        // Dismissed: the update still applies on the next navigation
+        toast
+          .querySelector(".sw-update-dismiss")
+          .addEventListener("click", () => {
+            this.pendingUpdate = null;
+            this.hideUpdateToast();
+          });
+        document.body.appendChild(toast);
+        this.updateToast = toast;
+      }
+      toast.hidden = false;
+    },
+
+    hideUpdateToast() {
+      if (this.updateToast) this.updateToast.hidden = true;
+    },
+
+    acceptUpdate() {
+      const worker = this.pendingUpdate;
+      if (!worker) return;
+      this.updateAccepted = true;
+      this.hideUpdateToast();
+      worker.postMessage({ type: "sw:skip-waiting" });
+    },
+
     // ------------------------------
     // 7) Runtime Element Hints
     // ------------------------------
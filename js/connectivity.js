@@ -0,0 +1,91 @@
+/**
+ * Connectivity: tell visitors when they're offline, and what still works
+ * - The service worker (sw.js) sees every real network failure and success,
+ *   and posts { type: "connectivity", online } to open pages when that
+ *   changes; the browser's online/offline events fill in without a worker
+ * - A banner says so while offline, and briefly once the connection is back
+ * - Other scripts follow window "connectivity:change" events with
+ *   { online }, or read Connectivity.online (main.js puts forms into an
+ *   offline mode this way)
+ */
+(function () {
+  "use strict";
+
+  const BACK_ONLINE_MS = 4000;
+
+  const Connectivity = {
+    online: navigator.onLine !== false,
+    banner: null,
+    timer: null,
+
+    init() {
+      const sw = navigator.serviceWorker;
+      if (sw) {
+        sw.addEventListener("message", (event) => {
+          const msg = event.data || {};
+          if (msg.type === "connectivity") this.set(msg.online);
+        });
+        // This page may have been served from cache: ask how things stand
+        sw.ready.then((reg) => this.ask(reg.active, "connectivity:query"));
+      }
+
+      window.addEventListener("offline", () => this.set(false));
+      // "online" only means a network exists; the worker checks it works
+      window.addEventListener("online", () => {
+        const worker = sw && sw.controller;
+        if (worker) this.ask(worker, "connectivity:check");
+        else this.set(true);
+      });
+
+      if (!this.online) this.set(false, true);
+    },
+
+    ask(worker, type) {
+      if (worker) worker.postMessage({ type });
+    },
+
+    set(online, force) {
+      if (online === this.online && !force) return;
+      this.online = online;
+      document.documentElement.classList.toggle("is-offline", !online);
+      this.render();
+      window.dispatchEvent(
+        new CustomEvent("connectivity:change", { detail: { online } })
+      );
+    },
+
+    render() {
+      if (!this.banner) {
+        const banner = document.createElement("div");
+        banner.className = "connectivity-banner";
+        banner.setAttribute("role", "status");
+        banner.hidden = true;
+        document.body.appendChild(banner);
+        this.banner = banner;
+      }
+      const { banner } = this;
+      clearTimeout(this.timer);
+      banner.classList.toggle("is-offline", !this.online);
+
+      if (this.online) {
+        banner.innerHTML =
+          '<i class="fas fa-wifi" aria-hidden="true"></i> You\'re back online.';
+        this.timer = setTimeout(() => (banner.hidden = true), BACK_ONLINE_MS);
+      } else {
+        banner.innerHTML =
+          '<i class="fas fa-plug" aria-hidden="true"></i> You\'re offline. ' +
+          "Pages you've visited still work, and quote requests are saved " +
+          'until you reconnect. Call us on <a href="tel:0434433226">0434 433 226</a>.';
+      }
+      banner.hidden = false;
+    },
+  };
+
+  window.Connectivity = Connectivity;
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", () => Connectivity.init());
+  } else {
+    Connectivity.init();
+  }
+})();
@@ -0,0 +1,284 @@
+/**
+ * Painting Cost Estimator
+ * - Widget ([data-estimator]) on services.html: service, rooms or m²,
+ *   surface condition, coats and paint grade -> ballpark price range
+ * - Rates live in data/estimator-rates.json (data-rates on the widget), so
+ *   prices can change without touching this script
+ * - "Use this estimate" stores the inputs in sessionStorage and opens the
+ *   contact page, where they become hidden fields on the quote form
+ *   ([data-estimate-target]) and pre-select the service
+ */
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "cost-estimate";
+  const DEFAULT_RATES_URL = "data/estimator-rates.json";
+
+  const UNIT_LABELS = {
+    room: "Number of rooms",
+    sqm: "Area (m²)",
+  };
+
+  const money = (value, currency) =>
+    new Intl.NumberFormat("en-AU", {
+      style: "currency",
+      currency: currency || "AUD",
+      maximumFractionDigits: 0,
+    }).format(value);
+
+  // Price range for one set of inputs; null when something is missing
+  function calculate(rates, input) {
+    const service = rates.services[input.service];
+    if (!service) return null;
+    const unitRate = service.units[input.unit];
+    const quantity = parseFloat(input.quantity);
+    if (!unitRate || !(quantity > 0)) return null;
+
+    const factor = (table, key) => (table[key] ? table[key].factor : 1);
+    const base =
+      quantity *
+      unitRate *
+      factor(rates.condition, input.condition) *
+      factor(rates.coats, input.coats) *
+      factor(rates.grade, input.grade);
+
+    const spread = rates.spread || 0;
+    const roundTo = rates.roundTo || 1;
+    const round = (v) => Math.round(v / roundTo) * roundTo;
+    const minimum = service.minimum || 0;
+
+    const low = round(Math.max(base * (1 - spread), minimum));
+    const high = round(Math.max(base * (1 + spread), minimum * (1 + spread)));
+    return { low, high, currency: rates.currency };
+  }
+
+  function fillSelect(select, table, selected) {
+    select.innerHTML = "";
+    Object.keys(table).forEach((key) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = table[key].label || key;
+      if (key === selected) option.selected = true;
+      select.appendChild(option);
+    });
+  }
+
+  // ------------------------------
+  // Widget (services.html)
+  // ------------------------------
+  function Estimator(root, rates) {
+    this.root = root;
+    this.rates = rates;
+    this.el = {
+      service: root.querySelector("[name=estimate_service]"),
+      unit: root.querySelector("[name=estimate_unit]"),
+      quantity: root.querySelector("[name=estimate_quantity]"),
+      quantityLabel: root.querySelector("[data-estimate-quantity-label]"),
+      condition: root.querySelector("[name=estimate_condition]"),
+      coats: root.querySelector("[name=estimate_coats]"),
+      grade: root.querySelector("[name=estimate_grade]"),
+      output: root.querySelector("[data-estimate-output]"),
+      apply: root.querySelector("[data-estimate-apply]"),
+    };
+  }
+
+  Estimator.prototype = {
+    init() {
+      const { el, rates } = this;
+      fillSelect(el.service, rates.services, this.serviceFromHash());
+      fillSelect(el.condition, rates.condition, "good");
+      fillSelect(el.coats, rates.coats, "2");
+      fillSelect(el.grade, rates.grade, "standard");
+      this.updateUnits();
+
+      el.service.addEventListener("change", () => {
+        this.updateUnits();
+        this.update();
+      });
+      el.unit.addEventListener("change", () => {
+        this.updateQuantityLabel();
+        this.update();
+      });
+      [el.quantity, el.condition, el.coats, el.grade].forEach((field) => {
+        field.addEventListener("input", () => this.update());
+        field.addEventListener("change", () => this.update());
+      });
+      el.apply.addEventListener("click", () => this.apply());
+
+      this.root.classList.add("is-ready");
+      this.update();
+    },
+
+    // services.html#exterior-painting opens the estimator on that service
+    serviceFromHash() {
+      const id = location.hash.replace("#", "");
+      return this.rates.services[id] ? id : Object.keys(this.rates.services)[0];
+    },
+
+    updateUnits() {
+      const service = this.rates.services[this.el.service.value];
+      const current = this.el.unit.value;
+      const table = {};
+      Object.keys(service.units).forEach((unit) => {
+        table[unit] = { label: unit === "room" ? "Rooms" : "Square metres" };
+      });
+      fillSelect(this.el.unit, table, table[current] ? current : undefined);
+      this.el.unit.disabled = Object.keys(table).length < 2;
+      this.updateQuantityLabel();
+    },
+
+    updateQuantityLabel() {
+      this.el.quantityLabel.textContent = UNIT_LABELS[this.el.unit.value];
+    },
+
+    values() {
+      const { el } = this;
+      return {
+        service: el.service.value,
+        unit: el.unit.value,
+        quantity: el.quantity.value,
+        condition: el.condition.value,
+        coats: el.coats.value,
+        grade: el.grade.value,
+      };
+    },
+
+    update() {
+      const range = calculate(this.rates, this.values());
+      this.range = range;
+      this.el.apply.disabled = !range;
+      this.el.output.textContent = range
+        ? `${money(range.low, range.currency)} – ${money(range.high, range.currency)}`
+        : `Enter the ${this.el.unit.value === "room" ? "number of rooms" : "area"} to see a price range`;
+    },
+
+    // Hand the estimate to the contact form and go there
+    apply() {
+      if (!this.range) return;
+      const v = this.values();
+      const label = (table, key) => (table[key] ? table[key].label : key);
+      const estimate = {
+        service: v.service,
+        serviceLabel: label(this.rates.services, v.service),
+        quantity: `${v.quantity} ${v.unit === "room" ? "rooms" : "m²"}`,
+        condition: label(this.rates.condition, v.condition),
+        coats: label(this.rates.coats, v.coats),
+        grade: label(this.rates.grade, v.grade),
+        range: this.el.output.textContent,
+      };
+      try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(estimate));
+      } catch (_) {}
+      window.location.href = this.el.apply.dataset.href || "contact.html#quote-form";
+    },
+  };
+
+  function loadRates(url) {
+    return fetch(url, { headers: { Accept: "application/json" } }).then((res) => {
+      if (!res.ok) throw new Error(`Rates unavailable (${res.status})`);
+      return res.json();
+    });
+  }
+
+  function initEstimators() {
+    document.querySelectorAll("[data-estimator]").forEach((root) => {
+      loadRates(root.dataset.rates || DEFAULT_RATES_URL)
+        .then((rates) => new Estimator(root, rates).init())
+        .catch((error) => {
+          console.warn("Cost estimator disabled:", error);
+          root.classList.add("is-unavailable");
+        });
+    });
+  }
+
+  // ------------------------------
+  // Quote form prefill (contact.html)
+  // ------------------------------
+  const HIDDEN_FIELDS = {
+    estimate_service: "serviceLabel",
+    estimate_size: "quantity",
+    estimate_condition: "condition",
+    estimate_coats: "coats",
+    estimate_grade: "grade",
+    estimate_range: "range",
+  };
+
+  function readEstimate() {
+    try {
+      return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function applyEstimateToForm(form, estimate) {
+    Object.keys(HIDDEN_FIELDS).forEach((name) => {
+      let input = form.querySelector(`input[type=hidden][name="${name}"]`);
+      if (!input) {
+        input = document.createElement("input");
+        input.type = "hidden";
+        input.name = name;
+        input.setAttribute("data-estimate-field", "");
+        form.insertBefore(input, form.firstChild);
+      }
+      input.value = estimate[HIDDEN_FIELDS[name]] || "";
+    });
+
+    // Pre-select the matching service in the quote wizard
+    const radio = Array.from(
+      form.querySelectorAll('input[type=radio][name="service"]')
+    ).find((r) => r.value === estimate.serviceLabel);
+    if (radio && !form.querySelector('input[name="service"]:checked')) {
+      radio.checked = true;
+      radio.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+
+    const note = document.createElement("p");
+    note.className = "estimate-note";
+    note.setAttribute("data-estimate-field", "");
+    note.innerHTML = '<i class="fas fa-calculator"></i>';
+    note.appendChild(
+      document.createTextNode(
+        ` Your online estimate (${estimate.serviceLabel}, ${estimate.quantity}): ${estimate.range}. We'll confirm an exact price after a free site visit.`
+      )
+    );
+    const progress = form.querySelector(".wizard-progress");
+    if (progress) progress.insertAdjacentElement("afterend", note);
+    else form.prepend(note);
+
+    // Sent with the lead: forget it so the next enquiry starts clean
+    form.addEventListener(
+      "reset",
+      () => {
+        form
+          .querySelectorAll("[data-estimate-field]")
+          .forEach((el) => el.remove());
+        try {
+          sessionStorage.removeItem(STORAGE_KEY);
+        } catch (_) {}
+      },
+      { once: true }
+    );
+  }
+
+  function initEstimatePrefill() {
+    const estimate = readEstimate();
+    if (!estimate) return;
+    document
+      .querySelectorAll("form[data-estimate-target]")
+      .forEach((form) => applyEstimateToForm(form, estimate));
+  }
+
+  function init() {
+    initEstimators();
+    initEstimatePrefill();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+
+  window.CostEstimator = { calculate, Estimator };
+})();
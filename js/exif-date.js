@@ -0,0 +1,138 @@
+/**
+ * EXIF Date: when a JPEG was taken, straight from the file
+ * - ExifDate.read(src) resolves to a Date, or null when the photo has no
+ *   usable EXIF date (PNGs, stripped files, a failed fetch)
+ * - Prefers DateTimeOriginal, then DateTimeDigitized, then the file's
+ *   DateTime; camera times carry no zone, so they're read as local time
+ * - Only the start of the file is requested, since EXIF sits before the
+ *   image data; each src is read once per page
+ * Used for projects whose data/projects.json entry has no "date".
+ */
+(function () {
+  "use strict";
+
+  const HEAD_BYTES = 128 * 1024;
+
+  const TAGS = {
+    exifPointer: 0x8769,
+    dateTime: 0x0132,
+    original: 0x9003,
+    digitized: 0x9004,
+  };
+
+  const cache = new Map();
+
+  // "2024:03:15 14:02:11" -> Date; all-zero dates mean "unknown"
+  function parseStamp(text) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(
+      text || ""
+    );
+    if (!match) return null;
+    const [year, month, day, hour, minute, second] = match
+      .slice(1)
+      .map(Number);
+    if (!year || !month || !day) return null;
+    const date = new Date(year, month - 1, day, hour, minute, second);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Byte offset of the TIFF header inside the APP1 "Exif" segment
+  function findTiff(view) {
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return -1;
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break;
+      const length = view.getUint16(offset + 2);
+      if (
+        marker === 0xffe1 &&
+        offset + 10 <= view.byteLength &&
+        view.getUint32(offset + 4) === 0x45786966 && // "Exif"
+        view.getUint16(offset + 8) === 0
+      ) {
+        return offset + 10;
+      }
+      offset += 2 + length;
+    }
+    return -1;
+  }
+
+  // Tag -> { type, count, offset of the value, raw 4-byte field } for one IFD
+  function readIfd(view, tiff, start, little) {
+    const entries = new Map();
+    const count = view.getUint16(start, little);
+    for (let i = 0; i < count; i++) {
+      const entry = start + 2 + i * 12;
+      const size = view.getUint32(entry + 4, little);
+      const raw = view.getUint32(entry + 8, little);
+      entries.set(view.getUint16(entry, little), {
+        type: view.getUint16(entry + 2, little),
+        count: size,
+        // Values of up to 4 bytes live in the entry itself
+        offset: size > 4 ? tiff + raw : entry + 8,
+        raw,
+      });
+    }
+    return entries;
+  }
+
+  function readAscii(view, entry) {
+    if (!entry || entry.type !== 2) return "";
+    let text = "";
+    for (let i = 0; i < entry.count; i++) {
+      const code = view.getUint8(entry.offset + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text;
+  }
+
+  function parse(buffer) {
+    try {
+      const view = new DataView(buffer);
+      const tiff = findTiff(view);
+      if (tiff === -1) return null;
+
+      const little = view.getUint16(tiff) === 0x4949; // "II" vs "MM"
+      const ifd0 = readIfd(
+        view,
+        tiff,
+        tiff + view.getUint32(tiff + 4, little),
+        little
+      );
+      const pointer = ifd0.get(TAGS.exifPointer);
+      const exif = pointer
+        ? readIfd(view, tiff, tiff + pointer.raw, little)
+        : new Map();
+
+      return (
+        parseStamp(readAscii(view, exif.get(TAGS.original))) ||
+        parseStamp(readAscii(view, exif.get(TAGS.digitized))) ||
+        parseStamp(readAscii(view, ifd0.get(TAGS.dateTime)))
+      );
+    } catch (_) {
+      // Truncated or malformed EXIF: treat as no date
+      return null;
+    }
+  }
+
+  const ExifDate = {
+    read(src) {
+      if (!cache.has(src)) {
+        const headers = { Range: `bytes=0-${HEAD_BYTES - 1}` };
+        cache.set(
+          src,
+          fetch(src, { headers })
+            .then((res) => (res.ok ? res.arrayBuffer() : null))
+            .then((buffer) => (buffer ? parse(buffer) : null))
+            .catch(() => null)
+        );
+      }
+      return cache.get(src);
+    },
+
+    parse,
+  };
+
+  window.ExifDate = ExifDate;
+})();
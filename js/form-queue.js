@@ -0,0 +1,255 @@
+/**
+ * Offline Form Queue
+ * - Submissions that can't reach the network are saved to IndexedDB
+ * - Replayed by the service worker's Background Sync handler ("form-queue")
+ * - Where Background Sync isn't supported, the page asks for a replay when it
+ *   comes back online and on a timer while entries are waiting
+ * - Identical submissions are stored once (fingerprint index) and an entry is
+ *   claimed before sending, so the page and the worker never both send it
+ *
+ * Loaded by pages with forms and by sw.js via importScripts; depends on
+ * form-transport.js for FormTransport.dispatch.
+ */
+(function () {
+  "use strict";
+
+  const DB_NAME = "cockys-forms";
+  const DB_VERSION = 1;
+  const STORE = "outbox";
+  const SYNC_TAG = "form-queue";
+  const CLAIM_TTL = 30 * 1000; // an in-flight entry is left alone this long
+  const MAX_ATTEMPTS = 10; // server rejections before an entry is dropped
+  const REPLAY_INTERVAL = 60 * 1000;
+
+  const isWorker = typeof document === "undefined";
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("fingerprint", "fingerprint", { unique: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+    return dbPromise;
+  }
+
+  // Run fn(store) in a transaction and resolve with its returned request's result
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const store = tx.objectStore(STORE);
+      let value;
+      const req = fn(store);
+      if (req) req.onsuccess = () => (value = req.result);
+      tx.oncomplete = () => resolve(value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Stable hash of what was submitted, used to refuse duplicates
+  function fingerprint(request) {
+    const parts = request.fields
+      .map(([key, value, filename]) =>
+        filename ? `${key}=${filename}:${value.size}` : `${key}=${value}`
+      )
+      .sort();
+    const text = `${request.url}|${parts.join("&")}`;
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  // Tell open pages what happened; pages re-dispatch worker messages as events
+  function notify(type, detail) {
+    if (isWorker) {
+      self.clients
+        .matchAll({ includeUncontrolled: true, type: "window" })
+        .then((clients) =>
+          clients.forEach((client) => client.postMessage({ type, detail }))
+        );
+    } else {
+      window.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+  }
+
+  const FormQueue = {
+    SYNC_TAG,
+
+    // Save a request for later; resolves { entry, duplicate }
+    async enqueue(request, meta) {
+      const print = fingerprint(request);
+      const existing = await withStore("readonly", (store) =>
+        store.index("fingerprint").get(print)
+      );
+      if (existing) return { entry: existing, duplicate: true };
+
+      const entry = Object.assign(
+        {
+          fingerprint: print,
+          request,
+          createdAt: Date.now(),
+          attempts: 0,
+          claimedAt: 0,
+        },
+        meta || {}
+      );
+      try {
+        entry.id = await withStore("readwrite", (store) => store.add(entry));
+      } catch (e) {
+        // Lost a race with an identical submission
+        if (e && e.name === "ConstraintError") {
+          return { entry, duplicate: true };
+        }
+        throw e;
+      }
+      notify("formqueue:queued", { id: entry.id });
+      return { entry, duplicate: false };
+    },
+
+    list() {
+      return withStore("readonly", (store) => store.getAll());
+    },
+
+    async count() {
+      return (await withStore("readonly", (store) => store.count())) || 0;
+    },
+
+    // Mark an entry as in flight; false if someone else already has it
+    async claim(id) {
+      const db = await openDb();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, "readwrite");
+        const store = tx.objectStore(STORE);
+        let claimed = false;
+        const get = store.get(id);
+        get.onsuccess = () => {
+          const entry = get.result;
+          if (!entry || Date.now() - entry.claimedAt < CLAIM_TTL) return;
+          entry.claimedAt = Date.now();
+          store.put(entry);
+          claimed = true;
+        };
+        tx.oncomplete = () => resolve(claimed);
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+
+    // Send everything waiting; network failures stay queued for next time
+    // and set outcome.offline, so Background Sync can ask to be retried
+    async replay() {
+      const outcome = { sent: [], failed: [], offline: false };
+      const entries = await this.list();
+
+      for (const entry of entries) {
+        if (!(await this.claim(entry.id))) continue;
+
+        let res;
+        try {
+          res = await self.FormTransport.dispatch(entry.request);
+        } catch (error) {
+          // Still offline: release the claim and stop, the rest would fail too
+          entry.claimedAt = 0;
+          await withStore("readwrite", (store) => store.put(entry));
+          outcome.failed.push(entry.id);
+          outcome.offline = true;
+          break;
+        }
+
+        if (res.success) {
+          await withStore("readwrite", (store) => store.delete(entry.id));
+          outcome.sent.push(entry.id);
+          notify("formqueue:sent", { id: entry.id, label: entry.label });
+          continue;
+        }
+
+        entry.attempts += 1;
+        entry.claimedAt = 0;
+        entry.lastError = res.message;
+        outcome.failed.push(entry.id);
+        if (entry.attempts >= MAX_ATTEMPTS) {
+          console.warn("Dropping queued form after repeated rejections", entry);
+          await withStore("readwrite", (store) => store.delete(entry.id));
+          notify("formqueue:dropped", { id: entry.id });
+        } else {
+          await withStore("readwrite", (store) => store.put(entry));
+        }
+      }
+      return outcome;
+    },
+
+    // Page side: get the queue replayed by the best means available
+    requestReplay() {
+      const sw = navigator.serviceWorker;
+      if (sw && "SyncManager" in window) {
+        return sw.ready
+          .then((reg) => reg.sync.register(SYNC_TAG))
+          .catch(() => this.replayFallback());
+      }
+      return this.replayFallback();
+    },
+
+    // Periodic path: hand the work to the worker if one controls the page
+    replayFallback() {
+      if (!navigator.onLine) return Promise.resolve();
+      const sw = navigator.serviceWorker;
+      if (sw && sw.controller) {
+        sw.controller.postMessage({ type: "form-queue:replay" });
+        return Promise.resolve();
+      }
+      return this.replay();
+    },
+
+    // Page side wiring: relay worker messages and schedule fallback replays
+    watch() {
+      const sw = navigator.serviceWorker;
+      if (sw) {
+        sw.addEventListener("message", (event) => {
+          const msg = event.data || {};
+          if (typeof msg.type === "string" && msg.type.startsWith("formqueue:")) {
+            window.dispatchEvent(new CustomEvent(msg.type, { detail: msg.detail }));
+          }
+        });
+      }
+
+      const kick = () => {
+        this.count()
+          .then((n) => n > 0 && this.requestReplay())
+          .catch(() => {});
+      };
+
+      window.addEventListener("online", kick);
+      if (!(sw && "SyncManager" in window)) {
+        setInterval(() => {
+          if (!document.hidden) kick();
+        }, REPLAY_INTERVAL);
+      }
+      kick();
+    },
+  };
+
+  self.FormQueue = FormQueue;
+
+  if (!isWorker && "indexedDB" in window) {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => FormQueue.watch());
+    } else {
+      FormQueue.watch();
+    }
+  }
+})();
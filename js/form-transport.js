@@ -0,0 +1,250 @@
+/**
+ * Form Transport Layer
+ * - One submit path for every form on the site
+ * - Adapters: Web3Forms, JSON webhook, mailto: fallback, local mock
+ * - Every adapter resolves to the same { success, message, data } result
+ *
+ * Pick an adapter per form with data attributes:
+ *   <form data-transport="webhook" data-endpoint="https://example.com/hook">
+ *   <form data-transport="mailto" data-mailto="someone@example.com">
+ *   <form data-transport="mock" data-mock-outcome="error">
+ * Forms without data-transport use Web3Forms.
+ *
+ * Network adapters can also describe their request as plain data, which is
+ * what the offline queue (form-queue.js) stores and the service worker replays.
+ *
+ * On localhost, `?form-transport=mock` overrides the adapter for every form so
+ * the contact form can be tested without sending real leads.
+ */
+(function () {
+  "use strict";
+
+  const DEFAULT_TRANSPORT = "web3forms";
+  const WEB3FORMS_ENDPOINT = "https://api.web3forms.com/submit";
+  const DEFAULT_MAILTO = "cockyspainting@gmail.com";
+
+  const SUCCESS_MESSAGE =
+    "Thank you! Your message has been sent successfully. We'll get back to you within 24 hours.";
+  const ERROR_MESSAGE =
+    "Sorry, there was an error sending your message. Please try again or call us directly.";
+
+  // Fields that configure a provider rather than carry the visitor's answers
+  const META_FIELDS = ["access_key", "subject", "from_name", "botcheck"];
+
+  function result(success, message, data) {
+    return {
+      success: success,
+      message: message || (success ? SUCCESS_MESSAGE : ERROR_MESSAGE),
+      data: data === undefined ? null : data,
+    };
+  }
+
+  // Plain object of form fields; repeated names become arrays, files are skipped
+  function formDataToObject(formData) {
+    const out = {};
+    formData.forEach((value, key) => {
+      if (typeof File !== "undefined" && value instanceof File) return;
+      if (Object.prototype.hasOwnProperty.call(out, key)) {
+        out[key] = [].concat(out[key], value);
+      } else {
+        out[key] = value;
+      }
+    });
+    return out;
+  }
+
+  // Serialisable description of a request, so it can be stored and replayed
+  // later (see form-queue.js). Files are kept as Blobs with their names.
+  function entriesOf(formData, includeFiles) {
+    const entries = [];
+    formData.forEach((value, key) => {
+      const isFile = typeof File !== "undefined" && value instanceof File;
+      if (isFile && !includeFiles) return;
+      entries.push(isFile ? [key, value, value.name] : [key, value]);
+    });
+    return entries;
+  }
+
+  function buildBody(request) {
+    if (request.bodyType === "json") {
+      const data = new FormData();
+      request.fields.forEach(([key, value]) => data.append(key, value));
+      return JSON.stringify(formDataToObject(data));
+    }
+    const data = new FormData();
+    request.fields.forEach(([key, value, filename]) => {
+      if (filename) data.append(key, value, filename);
+      else data.append(key, value);
+    });
+    return data;
+  }
+
+  // Map a provider response onto the common result shape
+  const checks = {
+    web3forms(response, data) {
+      return !!(data && data.success);
+    },
+    http(response, data) {
+      return response.ok && !(data && (data.success === false || data.error));
+    },
+  };
+
+  // Send a described request; rejects only on network failure
+  async function dispatch(request) {
+    const response = await fetch(request.url, {
+      method: request.method || "POST",
+      headers: request.headers || {},
+      body: buildBody(request),
+    });
+    const data = await response.json().catch(() => null);
+    const check = checks[request.check] || checks.http;
+    const success = check(response, data);
+    return result(success, success ? null : data && data.message, data);
+  }
+
+  const adapters = {
+    // Web3Forms: multipart POST, success reported in the JSON body
+    web3forms: {
+      describe(form, formData) {
+        return {
+          url: form.dataset.endpoint || WEB3FORMS_ENDPOINT,
+          method: "POST",
+          bodyType: "form",
+          fields: entriesOf(formData, true),
+          check: "web3forms",
+        };
+      },
+      send(form, formData) {
+        return dispatch(this.describe(form, formData));
+      },
+    },
+
+    // Generic JSON webhook: any 2xx is a success unless the body says otherwise
+    webhook: {
+      describe(form, formData) {
+        const endpoint = form.dataset.endpoint;
+        if (!endpoint) {
+          throw new Error("Webhook transport requires data-endpoint");
+        }
+        return {
+          url: endpoint,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          bodyType: "json",
+          fields: entriesOf(formData, false).filter(
+            ([key]) => !META_FIELDS.includes(key)
+          ),
+          check: "http",
+        };
+      },
+      send(form, formData) {
+        return dispatch(this.describe(form, formData));
+      },
+    },
+
+    // mailto: hands the enquiry to the visitor's own email app
+    mailto: {
+      async send(form, formData) {
+        const to = form.dataset.mailto || DEFAULT_MAILTO;
+        const fields = formDataToObject(formData);
+        const subject =
+          fields.subject || "Quote request from Cocky's Painting website";
+        META_FIELDS.forEach((key) => delete fields[key]);
+
+        const body = Object.keys(fields)
+          .map((key) => `${key.replace(/_/g, " ")}: ${fields[key]}`)
+          .join("\n");
+
+        window.location.href =
+          `mailto:${to}?subject=${encodeURIComponent(subject)}` +
+          `&body=${encodeURIComponent(body)}`;
+
+        return result(
+          true,
+          "Your email app has been opened with your details. Just press send and we'll be in touch within 24 hours.",
+          { to: to, subject: subject }
+        );
+      },
+    },
+
+    // Local stand-in: no network, answers after a delay; the result carries
+    // the payload, so nothing the visitor typed goes to the console
+    mock: {
+      async send(form, formData) {
+        const payload = formDataToObject(formData);
+        const outcome = form.dataset.mockOutcome || "success";
+        const delay = parseInt(form.dataset.mockDelay, 10) || 600;
+
+        await new Promise((resolve) => setTimeout(resolve, delay));
+
+        if (outcome === "network") {
+          throw new TypeError("Mock network failure");
+        }
+        return result(outcome !== "error", null, { mock: true, payload });
+      },
+    },
+  };
+
+  // Dev-only override so a deployed page can't be switched by a query string
+  function overrideFromQuery() {
+    if (typeof document === "undefined") return null;
+    const host = location.hostname;
+    if (host !== "localhost" && host !== "127.0.0.1") return null;
+    try {
+      return new URLSearchParams(location.search).get("form-transport");
+    } catch (_) {
+      return null;
+    }
+  }
+
+  const FormTransport = {
+    adapters,
+
+    // Resolve the adapter name for a form
+    resolve(form) {
+      const name =
+        overrideFromQuery() || form.dataset.transport || DEFAULT_TRANSPORT;
+      if (!adapters[name]) {
+        console.warn(`Unknown form transport "${name}", using ${DEFAULT_TRANSPORT}`);
+        return DEFAULT_TRANSPORT;
+      }
+      return name;
+    },
+
+    // Request description for adapters that can be queued and replayed
+    // (null for mailto: and mock, which only make sense in the page)
+    describe(form, formData) {
+      const adapter = adapters[this.resolve(form)];
+      if (typeof adapter.describe !== "function") return null;
+      return adapter.describe(form, formData || new FormData(form));
+    },
+
+    // Register or replace an adapter: { send(form, formData) => Promise<result> }
+    register(name, adapter) {
+      adapters[name] = adapter;
+    },
+
+    // Submit a form; never rejects, failures come back as { success: false }
+    async submit(form, formData) {
+      const name = this.resolve(form);
+      const data = formData || new FormData(form);
+      try {
+        const res = await adapters[name].send(form, data);
+        return Object.assign({ transport: name }, res);
+      } catch (error) {
+        console.error("Form submission error:", error);
+        return Object.assign({ transport: name, error }, result(false));
+      }
+    },
+
+    dispatch,
+    result,
+    formDataToObject,
+  };
+
+  // Also loaded by sw.js (importScripts) to replay queued submissions
+  self.FormTransport = FormTransport;
+})();
@@ -0,0 +1,402 @@
+/**
+ * Declarative Form Validation
+ * - Rules come from data-validate, e.g. data-validate="au-phone|min:10"
+ * - Native attributes imply rules too: required, type=email, type=tel,
+ *   minlength/maxlength, so every form on the site is covered without markup
+ * - Fields validate on blur, then on every input once they've shown an error
+ * - Cross-field rules (same-as, required-if) and async rules (remote, or any
+ *   rule added with FormValidator.addRule that returns a Promise)
+ * - Errors go through showFieldError/hideFieldError (main.js), which keep
+ *   aria-invalid and aria-describedby in step with the message
+ *
+ * Custom messages per rule: data-message-<rule>, e.g. data-message-au-phone.
+ * Validating a whole form dispatches "formvalidation" on it with
+ * { valid, firstInvalid } so steppers can jump to the problem.
+ */
+(function () {
+  "use strict";
+
+  const ASYNC_DEBOUNCE = 350;
+
+  function digits(value) {
+    return String(value).replace(/\D/g, "");
+  }
+
+  // Australian numbers: 0X XXXX XXXX, with +61 / 61 accepted in place of 0
+  function normaliseAuPhone(value) {
+    let d = digits(value);
+    if (d.startsWith("61") && d.length === 11) d = "0" + d.slice(2);
+    return d;
+  }
+
+  // Length in the unit that makes sense for the field
+  function lengthOf(field, value) {
+    return field.type === "tel" ? digits(value).length : value.length;
+  }
+
+  function valueOf(form, name) {
+    if (!form) return "";
+    const fields = form.querySelectorAll(`[name="${name}"]`);
+    for (const f of fields) {
+      if (f.type === "radio" || f.type === "checkbox") {
+        if (f.checked) return f.value;
+      } else {
+        return f.value.trim();
+      }
+    }
+    return "";
+  }
+
+  function fieldLabel(form, name) {
+    const field = form && form.querySelector(`[name="${name}"]`);
+    const label =
+      field && field.id && form.querySelector(`label[for="${field.id}"]`);
+    return label ? label.textContent.replace(/\*/g, "").trim() : name;
+  }
+
+  // test(value, field, arg) => true | false | Promise<true | false | string>
+  // A string result replaces the default message.
+  const rules = {
+    required: {
+      checksEmpty: true,
+      test: (value) => value !== "",
+      message: "This field is required",
+    },
+    "required-if": {
+      checksEmpty: true,
+      // required-if:property_type=House,Townhouse or required-if:other_field
+      test(value, field, arg) {
+        const [name, expected] = arg.split("=");
+        const other = valueOf(field.form, name);
+        const applies = expected
+          ? expected.split(",").map((v) => v.trim()).includes(other)
+          : other !== "";
+        return !applies || value !== "";
+      },
+      message: "This field is required",
+    },
+    email: {
+      test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+      message: "Please enter a valid email address",
+    },
+    phone: {
+      test: (value) => /^[\+]?[0-9\s\-\(\)]{10,}$/.test(value),
+      message: "Please enter a valid phone number",
+    },
+    "au-phone": {
+      test: (value) => /^0[23478]\d{8}$/.test(normaliseAuPhone(value)),
+      message: "Please enter an Australian phone number, e.g. 0412 345 678",
+    },
+    "au-postcode": {
+      // 0200-0299 ACT/NT ranges through 9999; always four digits
+      test: (value) => /^(0[2-9]\d{2}|[1-9]\d{3})$/.test(value.trim()),
+      message: "Please enter a 4-digit Australian postcode",
+    },
+    suburb: {
+      test: (value) => /^[A-Za-z][A-Za-z .'-]*[A-Za-z.]$/.test(value.trim()),
+      message: "Please enter a suburb name (letters only)",
+    },
+    min: {
+      test(value, field, arg) {
+        if (field.type === "number") return Number(value) >= Number(arg);
+        return lengthOf(field, value) >= Number(arg);
+      },
+      message: (field, arg) =>
+        field.type === "number"
+          ? `Please enter ${arg} or more`
+          : field.type === "tel"
+            ? `Please enter at least ${arg} digits`
+            : `Please enter at least ${arg} characters`,
+    },
+    max: {
+      test(value, field, arg) {
+        if (field.type === "number") return Number(value) <= Number(arg);
+        return lengthOf(field, value) <= Number(arg);
+      },
+      message: (field, arg) =>
+        field.type === "number"
+          ? `Please enter ${arg} or less`
+          : `Please keep this under ${arg} characters`,
+    },
+    "same-as": {
+      test: (value, field, arg) => value === valueOf(field.form, arg),
+      message: (field, arg) =>
+        `This must match ${fieldLabel(field.form, arg).toLowerCase()}`,
+    },
+    // remote:/api/check-suburb -> GET ?value=...; expects { valid, message }
+    remote: {
+      async: true,
+      async test(value, field, arg) {
+        const url = new URL(arg, location.href);
+        url.searchParams.set("value", value);
+        url.searchParams.set("field", field.name);
+        try {
+          const res = await fetch(url.toString(), {
+            headers: { Accept: "application/json" },
+          });
+          const data = await res.json();
+          return data.valid ? true : data.message || false;
+        } catch (_) {
+          // Can't check right now: don't block the visitor on our outage
+          return true;
+        }
+      },
+      message: "Please check this value",
+    },
+  };
+
+  // "au-phone|min:10" -> [{ name: "au-phone" }, { name: "min", arg: "10" }]
+  function parseRules(spec) {
+    return (spec || "")
+      .split("|")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        const i = part.indexOf(":");
+        return i === -1
+          ? { name: part, arg: "" }
+          : { name: part.slice(0, i), arg: part.slice(i + 1) };
+      });
+  }
+
+  // Explicit rules plus the ones implied by native attributes
+  function rulesFor(field) {
+    const list = parseRules(field.dataset.validate);
+    const has = (name) => list.some((r) => r.name === name);
+    const implied = [];
+
+    if (field.required && !has("required")) implied.push({ name: "required" });
+    if (field.type === "email" && !has("email")) implied.push({ name: "email" });
+    if (field.type === "tel" && !has("phone") && !has("au-phone")) {
+      implied.push({ name: "phone" });
+    }
+    if (field.minLength > 0 && !has("min")) {
+      implied.push({ name: "min", arg: String(field.minLength) });
+    }
+    if (field.maxLength > 0 && field.type !== "tel" && !has("max")) {
+      implied.push({ name: "max", arg: String(field.maxLength) });
+    }
+    // required first so an empty field says "required", not "invalid email"
+    return implied
+      .filter((r) => r.name === "required")
+      .concat(list, implied.filter((r) => r.name !== "required"));
+  }
+
+  function isValidatable(field) {
+    if (!field.name && !field.dataset.validate) return false;
+    if (field.disabled) return false;
+    if (["hidden", "submit", "button", "reset", "file"].includes(field.type)) {
+      return !!field.dataset.validate;
+    }
+    return true;
+  }
+
+  // Radio groups report on their wrapper; other fields on themselves
+  function targetFor(field) {
+    if (field.type === "radio") {
+      return field.closest("[data-radio-group]") || field.parentNode;
+    }
+    return field;
+  }
+
+  function currentValue(field) {
+    if (field.type === "radio") return valueOf(field.form, field.name);
+    if (field.type === "checkbox") return field.checked ? field.value : "";
+    return field.value.trim();
+  }
+
+  function messageFor(field, rule, override) {
+    if (typeof override === "string") return override;
+    const key =
+      "message" +
+      rule.name.replace(/(^|-)([a-z])/g, (m, dash, c) => c.toUpperCase());
+    const target = targetFor(field);
+    const custom = field.dataset[key] || (target.dataset && target.dataset[key]);
+    if (custom) return custom;
+    const def = rules[rule.name].message;
+    return typeof def === "function" ? def(field, rule.arg) : def;
+  }
+
+  function markInvalid(field, message) {
+    const target = targetFor(field);
+    target.classList.add("error");
+    showFieldError(target, message);
+    field.dataset.validationTouched = "true";
+  }
+
+  function markValid(field) {
+    const target = targetFor(field);
+    target.classList.remove("error");
+    hideFieldError(target);
+  }
+
+  // Latest async run per field, so a slow stale answer can't win
+  const runs = new WeakMap();
+
+  // Resolve to null when valid, otherwise the error message
+  async function check(field) {
+    const value = currentValue(field);
+    const list = rulesFor(field);
+    const deferred = [];
+
+    for (const rule of list) {
+      const def = rules[rule.name];
+      if (!def) {
+        console.warn(`Unknown validation rule "${rule.name}"`, field);
+        continue;
+      }
+      if (value === "" && !def.checksEmpty) continue;
+      if (def.async) {
+        deferred.push(rule);
+        continue;
+      }
+      const ok = def.test(value, field, rule.arg || "");
+      if (ok !== true) return messageFor(field, rule, ok);
+    }
+
+    for (const rule of deferred) {
+      const ok = await rules[rule.name].test(value, field, rule.arg || "");
+      if (ok !== true) return messageFor(field, rule, ok);
+    }
+    return null;
+  }
+
+  async function validateField(field) {
+    const run = (runs.get(field) || 0) + 1;
+    runs.set(field, run);
+
+    const error = await check(field);
+    if (runs.get(field) !== run) return error === null; // superseded
+
+    if (error) markInvalid(field, error);
+    else markValid(field);
+    return error === null;
+  }
+
+  // One representative per radio group so each group is checked once
+  function fieldsIn(container) {
+    const seen = new Set();
+    return Array.from(
+      container.querySelectorAll("input, select, textarea")
+    ).filter((field) => {
+      if (!isValidatable(field)) return false;
+      if (field.type === "radio") {
+        if (seen.has(field.name)) return false;
+        seen.add(field.name);
+      }
+      return true;
+    });
+  }
+
+  const FormValidator = {
+    rules,
+
+    // Add or replace a rule; test may return a Promise for async checks
+    addRule(name, test, message, options) {
+      rules[name] = Object.assign(
+        { test, message: message || "Please check this value" },
+        options || {}
+      );
+    },
+
+    validateField,
+
+    // Validate every field inside a form or a part of one (e.g. a wizard step)
+    async validate(container) {
+      const fields = fieldsIn(container);
+      const results = await Promise.all(fields.map(validateField));
+      const valid = results.every(Boolean);
+      const firstInvalid = fields.find((f, i) => !results[i]) || null;
+
+      if (container.tagName === "FORM") {
+        container.dispatchEvent(
+          new CustomEvent("formvalidation", {
+            detail: { valid, firstInvalid },
+          })
+        );
+      }
+      return valid;
+    },
+
+    // Live validation: blur first, then input once an error has been shown
+    attach(form) {
+      if (form.dataset.validationAttached) return;
+      form.dataset.validationAttached = "true";
+
+      const timers = new WeakMap();
+
+      form.addEventListener("focusout", (e) => {
+        const field = e.target;
+        if (!isValidatable(field) || field.type === "radio") return;
+        // Leave untouched empty fields alone until submit
+        if (!field.dataset.validationTouched && currentValue(field) === "") {
+          return;
+        }
+        field.dataset.validationTouched = "true";
+        validateField(field);
+      });
+
+      const onChange = (e) => {
+        const field = e.target;
+        if (!isValidatable(field)) return;
+
+        // Radios share one error on their wrapper, whichever option was marked
+        const live =
+          field.dataset.validationTouched ||
+          (field.type === "radio" &&
+            targetFor(field).classList.contains("error"));
+
+        if (live) {
+          const hasAsync = rulesFor(field).some(
+            (r) => rules[r.name] && rules[r.name].async
+          );
+          clearTimeout(timers.get(field));
+          if (hasAsync) {
+            timers.set(
+              field,
+              setTimeout(() => validateField(field), ASYNC_DEBOUNCE)
+            );
+          } else {
+            validateField(field);
+          }
+        }
+
+        // Re-check fields that depend on this one and are showing an error
+        if (field.name) {
+          form
+            .querySelectorAll(`[data-validate*=":${field.name}"]`)
+            .forEach((dependent) => {
+              if (dependent.dataset.validationTouched) {
+                validateField(dependent);
+              }
+            });
+        }
+      };
+
+      form.addEventListener("input", onChange);
+      form.addEventListener("change", onChange);
+
+      // Fresh start after a successful submit
+      form.addEventListener("reset", () => {
+        fieldsIn(form).forEach((field) => {
+          delete field.dataset.validationTouched;
+          markValid(field);
+        });
+      });
+    },
+  };
+
+  function initFormValidation() {
+    document.querySelectorAll("form").forEach((form) => {
+      FormValidator.attach(form);
+    });
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initFormValidation);
+  } else {
+    initFormValidation();
+  }
+
+  window.FormValidator = FormValidator;
+})();
@@ -0,0 +1,381 @@
+/**
+ * Gallery Data: one project manifest for every gallery on the site
+ * - data/projects.json lists each job once: src, title, description,
+ *   category, suburb, area, sector, date (completion, "2024-03" or
+ *   "2024-03-15"), services (category ids or free text), paintSystem and an
+ *   optional "before" photo
+ * - "collections" say where a project appears ("gallery", "featured")
+ * - Grids marked [data-gallery-source] are rendered from the manifest;
+ *   gallery.js adds the filter bar named by data-gallery-filters, and
+ *   data-gallery-batch pages long collections in as the visitor scrolls
+ * - Lightbox viewers (lightbox.js) read their image lists here
+ *
+ * Adding a job = adding one entry to data/projects.json.
+ */
+(function () {
+  "use strict";
+
+  // Absolute: offline.html reads it too, from whatever URL it stands in for
+  const MANIFEST_URL = "/data/projects.json";
+
+  // Widths of the variants made by tools/build-image-variants.js; sw.js maps
+  // ?w= to the closest one, and serves the original without a worker
+  const IMAGE_WIDTHS = [480, 960, 1600];
+  const CARD_SIZES =
+    "(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw";
+
+  // srcset of width-hinted URLs for a photo; spaces must be escaped in srcset
+  function srcsetOf(src) {
+    const url = encodeURI(src);
+    return IMAGE_WIDTHS.map((w) => `${url}?w=${w} ${w}w`).join(", ");
+  }
+
+  let manifestPromise = null;
+
+  // Fill in defaults so consumers never have to null-check the basics
+  function normalise(project) {
+    return Object.assign(
+      {
+        description: "",
+        category: null,
+        suburb: null,
+        area: null,
+        sector: null,
+        date: null,
+        services: [],
+        paintSystem: null,
+        before: null,
+        collections: [],
+      },
+      project,
+      { alt: project.alt || project.title }
+    );
+  }
+
+  const GalleryData = {
+    // Fetch the manifest once per page
+    load() {
+      if (!manifestPromise) {
+        manifestPromise = fetch(MANIFEST_URL)
+          .then((res) => {
+            if (!res.ok) throw new Error(`Manifest unavailable (${res.status})`);
+            return res.json();
+          })
+          .then((manifest) => {
+            manifest.projects = (manifest.projects || []).map(normalise);
+            manifest.categories = manifest.categories || {};
+            manifest.areas = manifest.areas || {};
+            manifest.sectors = manifest.sectors || {};
+            return manifest;
+          })
+          .catch((error) => {
+            manifestPromise = null;
+            throw error;
+          });
+      }
+      return manifestPromise;
+    },
+
+    // Projects in one collection, in manifest order
+    collection(name) {
+      return this.load().then((manifest) =>
+        manifest.projects.filter((p) => p.collections.includes(name))
+      );
+    },
+
+    categoryLabel(manifest, id) {
+      return (manifest.categories && manifest.categories[id]) || id || "";
+    },
+
+    // ------------------------------
+    // Renderers
+    // ------------------------------
+    templates: {
+      // gallery.html cards
+      card(project, index) {
+        const card = document.createElement("div");
+        card.className = "gallery-card";
+        card.dataset.index = index;
+        card.dataset.projectId = project.id;
+        if (project.category) card.dataset.category = project.category;
+
+        const media = document.createElement("div");
+        media.className = "card-image";
+        const loading = index < 3 ? "eager" : "lazy";
+        if (project.before && window.BeforeAfter) {
+          // Paired photos: inline before/after slider (before-after.js)
+          media.appendChild(window.BeforeAfter.create(project, { loading }));
+        } else {
+          const img = document.createElement("img");
+          img.src = project.src;
+          img.srcset = srcsetOf(project.src);
+          img.sizes = CARD_SIZES;
+          img.alt = project.alt;
+          img.loading = loading;
+          img.decoding = "async";
+          img.style.cssText =
+            "width: 100%; height: 100%; object-fit: cover; border-radius: 15px;";
+          media.appendChild(img);
+        }
+
+        const content = document.createElement("div");
+        content.className = "card-content";
+        const title = document.createElement("h3");
+        title.textContent = project.title;
+        const description = document.createElement("p");
+        description.textContent = project.description;
+        content.append(title, description);
+
+        card.append(media, content);
+        return card;
+      },
+
+      // demo.html filterable grid items
+      item(project, index) {
+        const item = document.createElement("div");
+        item.className = "gallery-item";
+        item.dataset.index = index;
+        item.dataset.projectId = project.id;
+        item.dataset.category = project.category || "";
+
+        const img = document.createElement("img");
+        img.src = project.src;
+        img.srcset = srcsetOf(project.src);
+        img.sizes = CARD_SIZES;
+        img.alt = project.alt;
+        img.loading = "lazy";
+        img.decoding = "async";
+
+        const overlay = document.createElement("div");
+        overlay.className = "gallery-overlay";
+        overlay.innerHTML = '<i class="fas fa-search-plus"></i>';
+        const title = document.createElement("h4");
+        title.textContent = project.title;
+        const description = document.createElement("p");
+        description.textContent = project.description;
+        overlay.append(title, description);
+
+        item.append(img, overlay);
+        return item;
+      },
+    },
+
+    render(container, projects, layout) {
+      const template = this.templates[layout] || this.templates.card;
+      const fragment = document.createDocumentFragment();
+      projects.forEach((project, index) => {
+        fragment.appendChild(template(project, index));
+      });
+      container.innerHTML = "";
+      container.appendChild(fragment);
+    },
+
+    // Items in a rendered grid that the current filters leave showing
+    visibleItems(container) {
+      // aria-hidden: still fading out after a filter change (gallery.js)
+      return Array.from(container.querySelectorAll("[data-project-id]")).filter(
+        (item) =>
+          item.style.display !== "none" &&
+          !item.hidden &&
+          !item.hasAttribute("aria-hidden")
+      );
+    },
+
+    // Render every [data-gallery-source] grid on the page
+    renderAll() {
+      const grids = document.querySelectorAll("[data-gallery-source]");
+      if (grids.length === 0) return Promise.resolve();
+
+      return this.load()
+        .then((manifest) => {
+          grids.forEach((grid) => {
+            const name = grid.dataset.gallerySource;
+            const projects = manifest.projects.filter((p) =>
+              p.collections.includes(name)
+            );
+            const pager = new Pager(grid, projects, {
+              layout: grid.dataset.galleryLayout,
+              batch: parseInt(grid.dataset.galleryBatch, 10) || 0,
+            });
+            grid.galleryPager = pager;
+            pager.present(pager.update());
+
+            grid.classList.add("is-rendered");
+            grid.dispatchEvent(
+              new CustomEvent("gallery:rendered", {
+                bubbles: true,
+                detail: { projects, manifest },
+              })
+            );
+          });
+        })
+        .catch((error) => {
+          console.warn("Gallery manifest could not be loaded:", error);
+          grids.forEach((grid) => grid.classList.add("is-unavailable"));
+        });
+    },
+  };
+
+  // ------------------------------
+  // Paged rendering
+  // ------------------------------
+  // data-gallery-batch="12" renders that many cards, then more as the
+  // visitor nears the end of the grid (or presses "Load more"). Cards already
+  // in the page's HTML are kept as the first batch, so crawlers and no-JS
+  // visitors still get real markup. With a filter (gallery.js), pages count
+  // matching projects only: "Load more" always brings more of what's asked for.
+  function Pager(grid, projects, options) {
+    this.grid = grid;
+    this.projects = projects;
+    this.template =
+      GalleryData.templates[options.layout] || GalleryData.templates.card;
+    this.batch = options.batch || projects.length;
+    this.limit = this.batch;
+    this.match = () => true;
+    this.remaining = 0;
+    this.items = new Map();
+    this.adopt();
+    if (options.batch) this.buildControls();
+  }
+
+  Pager.prototype = {
+    // Keep server-rendered cards that are still in the manifest
+    adopt() {
+      const order = new Map(this.projects.map((p, i) => [p.id, i]));
+      this.grid.querySelectorAll("[data-project-id]").forEach((element) => {
+        const id = element.dataset.projectId;
+        const index = order.get(id);
+        // Paired photos need the slider, which static markup can't provide
+        if (index === undefined || this.projects[index].before) {
+          element.remove();
+          return;
+        }
+        element.dataset.index = index;
+        this.items.set(id, element);
+      });
+      // Anything else in the grid (e.g. a placeholder) makes way
+      Array.from(this.grid.children).forEach((child) => {
+        if (!child.hasAttribute("data-project-id")) child.remove();
+      });
+    },
+
+    buildControls() {
+      const controls = document.createElement("div");
+      controls.className = "gallery-pager";
+      controls.innerHTML = `
+        <div class="gallery-sentinel" aria-hidden="true"></div>
+        <button type="button" class="btn btn-secondary gallery-load-more" hidden>
+          Load more projects
+        </button>
+        <p class="gallery-pager-status visually-hidden" aria-live="polite"></p>`;
+      this.grid.insertAdjacentElement("afterend", controls);
+
+      this.controls = controls;
+      this.button = controls.querySelector(".gallery-load-more");
+      this.status = controls.querySelector(".gallery-pager-status");
+      this.sentinel = controls.querySelector(".gallery-sentinel");
+      this.button.addEventListener("click", () => this.more());
+
+      // Without IntersectionObserver the button is the only way on
+      if ("IntersectionObserver" in window) {
+        this.observer = new IntersectionObserver(
+          (entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) this.more();
+          },
+          { rootMargin: "0px 0px 400px 0px" }
+        );
+      }
+    },
+
+    // Render the current page of matching projects; returns the ids on it
+    update(match) {
+      if (match) this.match = match;
+      const matching = this.projects.filter((p) => this.match(p));
+      const page = matching.slice(0, this.limit);
+      const added = this.ensure(page);
+      this.remaining = matching.length - page.length;
+
+      if (this.button) {
+        this.button.hidden = this.remaining === 0;
+        this.button.textContent = `Load more projects (${this.remaining})`;
+      }
+      this.rearm();
+      if (added.length > 0) {
+        this.grid.dispatchEvent(
+          new CustomEvent("gallery:append", {
+            bubbles: true,
+            detail: { items: added },
+          })
+        );
+      }
+      return new Set(page.map((p) => p.id));
+    },
+
+    // Create any missing cards, each in its manifest position
+    ensure(page) {
+      const added = [];
+      page.forEach((project) => {
+        if (this.items.has(project.id)) return;
+        const index = this.projects.indexOf(project);
+        const element = this.template(project, index);
+        const next = Array.from(
+          this.grid.querySelectorAll("[data-project-id]")
+        ).find((item) => Number(item.dataset.index) > index);
+        this.grid.insertBefore(element, next || null);
+        this.items.set(project.id, element);
+        added.push(element);
+      });
+      return added;
+    },
+
+    // Observing again reports the sentinel's current state, so a batch that
+    // still leaves it in view (short pages, narrow filters) loads the next
+    rearm() {
+      if (!this.observer || this.remaining === 0) return;
+      this.observer.unobserve(this.sentinel);
+      this.observer.observe(this.sentinel);
+    },
+
+    // Next batch: gallery.js swaps present() for its animated version
+    more() {
+      if (this.remaining === 0) return;
+      const before = this.remaining;
+      this.limit += this.batch;
+      this.present(this.update());
+      const loaded = before - this.remaining;
+      this.status.textContent = `${loaded} more ${
+        loaded === 1 ? "project" : "projects"
+      } loaded`;
+    },
+
+    // Page far enough to include a project, e.g. for a #project/... link
+    reveal(id) {
+      const position = this.projects
+        .filter((p) => this.match(p))
+        .findIndex((p) => p.id === id);
+      if (position === -1) return false;
+      if (position >= this.limit) {
+        this.limit = Math.ceil((position + 1) / this.batch) * this.batch;
+        this.present(this.update());
+      }
+      return true;
+    },
+
+    present(ids) {
+      this.items.forEach((item, id) => {
+        item.style.display = ids.has(id) ? "" : "none";
+      });
+    },
+  };
+
+  GalleryData.Pager = Pager;
+  GalleryData.srcsetOf = srcsetOf;
+
+  window.GalleryData = GalleryData;
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", () => GalleryData.renderAll());
+  } else {
+    GalleryData.renderAll();
+  }
+})();
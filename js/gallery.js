@@ -1,44 +1,414 @@
-// Gallery Filter Functionality
-document.addEventListener('DOMContentLoaded', function() {
-    const filterButtons = document.querySelectorAll('.filter-btn');
-    const galleryItems = document.querySelectorAll('.gallery-item');
-
-    // Filter functionality
-    filterButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            const filter = this.getAttribute('data-filter');
-            
-            // Update active button
-            filterButtons.forEach(btn => btn.classList.remove('active'));
-            this.classList.add('active');
-            
-            // Filter gallery items
-            galleryItems.forEach(item => {
-                const category = item.getAttribute('data-category');
-                
-                if (filter === 'all' || category === filter) {
-                    item.style.display = 'block';
-                    item.style.animation = 'fadeInUp 0.5s ease forwards';
-                } else {
-                    item.style.display = 'none';
-                }
-            });
-        });
+/**
+ * Gallery Filters: several facets at once, plus search
+ * - Facets: service (project.category) and residential vs commercial
+ *   (project.sector), labelled from the tables of the same names in
+ *   data/projects.json
+ * - Free-text search over titles, descriptions, suburbs and service names
+ * - Every button shows how many projects it would leave, given the others
+ * - State lives in the query string, so service pages can link straight to
+ *   e.g. gallery.html?service=exterior&sector=commercial
+ *
+ * Markup: <div data-gallery-source="gallery" data-gallery-filters="#filters">
+ * renders the filter bar into #filters once gallery-data.js has drawn the grid.
+ * Filtering dispatches "gallery:filtered" on the grid with
+ * { visible, total, state }. On a paged grid (data-gallery-batch) the filters
+ * pick which projects the pages are cut from, so counts always cover the
+ * whole manifest, not just the cards loaded so far.
+ *
+ * Changes animate FLIP-style: remaining cards glide from where they were to
+ * where they end up, removed ones fade out in place, new ones fade in, and
+ * the grid's height eases instead of snapping. prefers-reduced-motion (or no
+ * Web Animations support) switches straight to the new layout.
+ */
+(function () {
+  "use strict";
+
+  const SEARCH_DEBOUNCE = 150;
+  const FLIP_DURATION = 350;
+  const FLIP_EASING = "cubic-bezier(0.2, 0, 0.2, 1)";
+
+  const reducedMotion = window.matchMedia
+    ? window.matchMedia("(prefers-reduced-motion: reduce)")
+    : { matches: false };
+
+  // key: query string name; field: project property; table: manifest labels
+  const FACETS = [
+    {
+      key: "service",
+      label: "Service",
+      field: "category",
+      table: "categories",
+    },
+    { key: "sector", label: "Type", field: "sector", table: "sectors" },
+  ];
+
+  function readState() {
+    const params = new URLSearchParams(location.search);
+    const state = { q: params.get("q") || "" };
+    FACETS.forEach((facet) => {
+      state[facet.key] = params.get(facet.key) || "";
     });
+    return state;
+  }
+
+  // replaceState: filtering is not navigation, so Back still leaves the page
+  function writeState(state) {
+    const params = new URLSearchParams(location.search);
+    FACETS.map((f) => f.key)
+      .concat("q")
+      .forEach((key) => {
+        if (state[key]) params.set(key, state[key]);
+        else params.delete(key);
+      });
+    const query = params.toString();
+    history.replaceState(
+      history.state,
+      "",
+      location.pathname + (query ? "?" + query : "") + location.hash
+    );
+  }
+
+  function searchText(project, manifest) {
+    return [
+      project.title,
+      project.description,
+      project.suburb,
+      manifest.categories[project.category],
+      manifest.areas[project.area],
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+  }
 
-    // Add fade in animation
-    const style = document.createElement('style');
-    style.textContent = `
-        @keyframes fadeInUp {
-            from {
-                opacity: 0;
-                transform: translateY(30px);
-            }
-            to {
-                opacity: 1;
-                transform: translateY(0);
-            }
+  // Every search word has to appear somewhere
+  function matchesSearch(project, manifest, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    const text = searchText(project, manifest);
+    return words.every((word) => text.includes(word));
+  }
+
+  function matches(project, manifest, state) {
+    return (
+      FACETS.every(
+        (facet) =>
+          !state[facet.key] || project[facet.field] === state[facet.key]
+      ) && matchesSearch(project, manifest, state.q)
+    );
+  }
+
+  function Filters(grid, container, projects, manifest) {
+    this.grid = grid;
+    this.container = container;
+    this.projects = projects;
+    this.manifest = manifest;
+    this.state = readState();
+    this.timer = null;
+  }
+
+  Filters.prototype = {
+    init() {
+      // Later pages glide in the same way filter changes do
+      if (this.grid.galleryPager) {
+        this.grid.galleryPager.present = (ids) => this.present(ids);
+      }
+      this.render();
+      this.apply(false);
+
+      this.container.addEventListener("click", (e) => {
+        const button = e.target.closest(".filter-btn");
+        if (button) {
+          const value = button.dataset.filter;
+          this.state[button.dataset.facet] = value === "all" ? "" : value;
+          this.apply(true);
+          return;
         }
-    `;
-    document.head.appendChild(style);
-});
+        if (e.target.closest("[data-filter-clear]")) this.clear();
+      });
+
+      this.container.addEventListener("input", (e) => {
+        if (!e.target.matches(".gallery-search input")) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+          this.state.q = e.target.value.trim();
+          this.apply(true);
+        }, SEARCH_DEBOUNCE);
+      });
+    },
+
+    // Facet values that actually occur, in manifest table order
+    valuesFor(facet) {
+      const table = this.manifest[facet.table] || {};
+      const used = new Set(this.projects.map((p) => p[facet.field]));
+      const values = Object.keys(table).filter((value) => used.has(value));
+      // A value from the URL stays visible even with nothing to show
+      const current = this.state[facet.key];
+      if (current && !values.includes(current)) values.push(current);
+      return values.map((value) => ({ value, label: table[value] || value }));
+    },
+
+    render() {
+      const { container } = this;
+      container.innerHTML = "";
+      container.classList.add("gallery-filters");
+
+      const search = document.createElement("div");
+      search.className = "gallery-search";
+      const inputId = `${this.grid.id || "gallery"}-search`;
+      search.innerHTML = `
+        <label class="visually-hidden" for="${inputId}">Search projects</label>
+        <i class="fas fa-search" aria-hidden="true"></i>
+        <input type="search" id="${inputId}" placeholder="Search projects, e.g. deck or render" autocomplete="off" />`;
+      search.querySelector("input").value = this.state.q;
+      container.appendChild(search);
+
+      FACETS.forEach((facet) => {
+        const values = this.valuesFor(facet);
+        if (values.length === 0) return;
+
+        const group = document.createElement("div");
+        group.className = "gallery-filter filter-group";
+        group.setAttribute("role", "group");
+        group.setAttribute("aria-label", facet.label);
+        group.dataset.facet = facet.key;
+
+        const name = document.createElement("span");
+        name.className = "filter-group-label";
+        name.textContent = facet.label;
+        group.appendChild(name);
+
+        [{ value: "all", label: "All" }].concat(values).forEach((option) => {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.className = "filter-btn";
+          button.dataset.facet = facet.key;
+          button.dataset.filter = option.value;
+          const label = document.createElement("span");
+          label.className = "filter-label";
+          label.textContent = option.label;
+          const count = document.createElement("span");
+          count.className = "filter-count";
+          button.append(label, " ", count);
+          group.appendChild(button);
+        });
+        container.appendChild(group);
+      });
+
+      const summary = document.createElement("p");
+      summary.className = "gallery-results";
+      summary.setAttribute("aria-live", "polite");
+      container.appendChild(summary);
+      this.summary = summary;
+    },
+
+    // Active states, and for each button the count if it were picked next
+    updateButtons() {
+      this.container.querySelectorAll(".filter-btn").forEach((button) => {
+        const facet = button.dataset.facet;
+        const value = button.dataset.filter;
+        const active = (this.state[facet] || "all") === value;
+        const candidate = Object.assign({}, this.state, {
+          [facet]: value === "all" ? "" : value,
+        });
+        const count = this.projects.filter((p) =>
+          matches(p, this.manifest, candidate)
+        ).length;
+
+        button.classList.toggle("active", active);
+        button.setAttribute("aria-pressed", String(active));
+        button.disabled = count === 0 && !active;
+        button.querySelector(".filter-count").textContent = `(${count})`;
+      });
+    },
+
+    apply(persist) {
+      const match = (p) => matches(p, this.manifest, this.state);
+      const shown = new Set(this.projects.filter(match).map((p) => p.id));
+      // A paged grid (gallery-data.js) shows one page of the matches
+      const pager = this.grid.galleryPager;
+      this.present(pager ? pager.update(match) : shown);
+
+      this.updateButtons();
+      const total = this.projects.length;
+      this.summary.innerHTML = "";
+      if (shown.size === 0) {
+        this.summary.textContent = "No projects match these filters. ";
+        const clear = document.createElement("button");
+        clear.type = "button";
+        clear.className = "filter-clear";
+        clear.setAttribute("data-filter-clear", "");
+        clear.textContent = "Clear filters";
+        this.summary.appendChild(clear);
+      } else {
+        this.summary.textContent =
+          shown.size === total
+            ? `Showing all ${total} projects`
+            : `Showing ${shown.size} of ${total} projects`;
+      }
+
+      if (persist) writeState(this.state);
+      this.grid.dispatchEvent(
+        new CustomEvent("gallery:filtered", {
+          bubbles: true,
+          detail: { visible: shown.size, total, state: this.state },
+        })
+      );
+    },
+
+    present(ids) {
+      const items = Array.from(
+        this.grid.querySelectorAll("[data-project-id]")
+      );
+      transition(this.grid, items, (item) => ids.has(item.dataset.projectId));
+    },
+
+    clear() {
+      FACETS.forEach((facet) => (this.state[facet.key] = ""));
+      this.state.q = "";
+      const input = this.container.querySelector(".gallery-search input");
+      if (input) input.value = "";
+      this.apply(true);
+    },
+  };
+
+  // ------------------------------
+  // FLIP layout transitions
+  // ------------------------------
+  function isShowing(item) {
+    return item.style.display !== "none" && !item.hasAttribute("aria-hidden");
+  }
+
+  function show(item) {
+    item.style.display = "";
+    item.removeAttribute("aria-hidden");
+    item.inert = false;
+  }
+
+  function hide(item) {
+    item.style.display = "none";
+    item.removeAttribute("aria-hidden");
+    item.inert = false;
+    ["position", "top", "left", "width", "height", "margin"].forEach((prop) =>
+      item.style.removeProperty(prop)
+    );
+  }
+
+  // Our own animations only; CSS ones (main.js's animate-in) stay
+  function cancelAnimations(element) {
+    element.getAnimations().forEach((animation) => {
+      if (!("animationName" in animation)) animation.cancel();
+    });
+  }
+
+  // Finish whatever a previous filter change was still animating
+  function settle(grid, items) {
+    items.forEach((item) => {
+      cancelAnimations(item);
+      if (item.hasAttribute("aria-hidden")) hide(item);
+    });
+    cancelAnimations(grid);
+  }
+
+  function transition(grid, items, keep) {
+    const animate =
+      !reducedMotion.matches && typeof grid.animate === "function";
+
+    if (!animate) {
+      items.forEach((item) => (keep(item) ? show(item) : hide(item)));
+      return;
+    }
+    settle(grid, items);
+
+    // First: where everything is now
+    const gridBox = grid.getBoundingClientRect();
+    const startHeight = gridBox.height;
+    const first = new Map();
+    items.forEach((item) => {
+      if (isShowing(item)) first.set(item, item.getBoundingClientRect());
+    });
+
+    const leaving = items.filter((item) => first.has(item) && !keep(item));
+    const entering = items.filter((item) => !first.has(item) && keep(item));
+    const staying = items.filter((item) => first.has(item) && keep(item));
+
+    // Leaving cards come out of the flow but stay put while they fade
+    leaving.forEach((item) => {
+      const box = first.get(item);
+      item.setAttribute("aria-hidden", "true");
+      item.inert = true;
+      Object.assign(item.style, {
+        position: "absolute",
+        top: `${box.top - gridBox.top - grid.clientTop}px`,
+        left: `${box.left - gridBox.left - grid.clientLeft}px`,
+        width: `${box.width}px`,
+        height: `${box.height}px`,
+        margin: "0",
+      });
+    });
+    entering.forEach(show);
+
+    // Last + Invert + Play
+    const timing = { duration: FLIP_DURATION, easing: FLIP_EASING };
+    staying.forEach((item) => {
+      const from = first.get(item);
+      const to = item.getBoundingClientRect();
+      const dx = from.left - to.left;
+      const dy = from.top - to.top;
+      if (dx || dy) {
+        item.animate(
+          [
+            { transform: `translate(${dx}px, ${dy}px)` },
+            { transform: "none" },
+          ],
+          timing
+        );
+      }
+    });
+    entering.forEach((item) => {
+      item.animate(
+        [
+          { opacity: 0, transform: "scale(0.92)" },
+          { opacity: 1, transform: "none" },
+        ],
+        timing
+      );
+    });
+    leaving.forEach((item) => {
+      item
+        .animate(
+          [
+            { opacity: 1, transform: "none" },
+            { opacity: 0, transform: "scale(0.92)" },
+          ],
+          timing
+        )
+        .finished.then(() => hide(item), () => {});
+    });
+
+    const endHeight = grid.getBoundingClientRect().height;
+    if (startHeight !== endHeight) {
+      grid.animate(
+        [{ height: `${startHeight}px` }, { height: `${endHeight}px` }],
+        timing
+      );
+    }
+  }
+
+  document.addEventListener("gallery:rendered", (e) => {
+    const grid = e.target;
+    const selector = grid.dataset.galleryFilters;
+    const container = selector && document.querySelector(selector);
+    if (!container) return;
+    const filters = new Filters(
+      grid,
+      container,
+      e.detail.projects,
+      e.detail.manifest
+    );
+    grid.galleryFilters = filters;
+    filters.init();
+  });
+
+  window.GalleryFilters = Filters;
+})();
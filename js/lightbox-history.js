@@ -0,0 +1,173 @@
+/**
+ * Lightbox History: shareable links to a single project photo
+ * - Opening a Lightbox (lightbox.js) puts the photo in the URL, e.g.
+ *   gallery.html#project/exterior-painting (ids come from data/projects.json)
+ * - Every photo change is a history entry, so Back/Forward step through the
+ *   photos, and Back from the first one closes the viewer (slideshow steps
+ *   only update the URL in place)
+ * - Closing the viewer returns to the page's own URL
+ * - Loading a #project/... URL opens straight to that photo, on whichever
+ *   viewer on the page has it
+ */
+(function () {
+  "use strict";
+
+  const PREFIX = "#project/";
+
+  // History changes we make ourselves must not echo back into new entries
+  let restoring = false;
+
+  function idFor(image, index) {
+    return (image && image.id) || String(index + 1);
+  }
+
+  // null for other hashes, and for ids that aren't valid percent-encoding
+  function idFromHash(hash) {
+    if (!hash.startsWith(PREFIX)) return null;
+    try {
+      return decodeURIComponent(hash.slice(PREFIX.length));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function urlWith(hash) {
+    return location.pathname + location.search + hash;
+  }
+
+  function hashFor(lightbox) {
+    const id = idFor(lightbox.current(), lightbox.index);
+    return PREFIX + encodeURIComponent(id);
+  }
+
+  // Photos pushed since the viewer opened (0 = the page itself)
+  function depth() {
+    return (history.state && history.state.lightboxDepth) || 0;
+  }
+
+  function push(lightbox) {
+    history.pushState(
+      { lightboxDepth: depth() + 1 },
+      "",
+      urlWith(hashFor(lightbox))
+    );
+  }
+
+  // Find the viewer and index holding a project id
+  function locate(id) {
+    const viewers = window.Lightbox ? window.Lightbox.all() : [];
+    return Promise.all(viewers.map((viewer) => viewer.loadImages())).then(
+      (lists) => {
+        for (let i = 0; i < viewers.length; i++) {
+          const index = lists[i].findIndex(
+            (image, n) => idFor(image, n) === id
+          );
+          if (index !== -1) return { lightbox: viewers[i], index };
+        }
+        return null;
+      }
+    );
+  }
+
+  function closeAll(except) {
+    window.Lightbox.all().forEach((viewer) => {
+      if (viewer !== except) viewer.close();
+    });
+  }
+
+  // Make the open viewers match the current URL
+  function restore() {
+    const id = idFromHash(location.hash);
+    restoring = true;
+
+    const done = id
+      ? locate(id).then((found) => {
+          closeAll(found && found.lightbox);
+          if (!found) return;
+          if (found.lightbox.isOpen) return found.lightbox.show(found.index);
+          return found.lightbox.open(found.index);
+        })
+      : Promise.resolve(closeAll());
+
+    return done.finally(() => {
+      restoring = false;
+    });
+  }
+
+  document.addEventListener("lightbox:open", (e) => {
+    if (!restoring) push(e.detail.lightbox);
+  });
+
+  document.addEventListener("lightbox:change", (e) => {
+    if (restoring) return;
+    const { lightbox } = e.detail;
+    // A slideshow (lightbox-slideshow.js) left running would otherwise bury
+    // the page under thousands of Back steps
+    if (lightbox.slideshow && lightbox.slideshow.advancing) {
+      history.replaceState(history.state, "", urlWith(hashFor(lightbox)));
+    } else {
+      push(lightbox);
+    }
+  });
+
+  document.addEventListener("lightbox:close", () => {
+    if (restoring) return;
+    const pushed = depth();
+    if (pushed > 0) {
+      // Unwind our entries so Back leaves the page as usual
+      history.go(-pushed);
+    } else {
+      history.replaceState(null, "", urlWith(""));
+    }
+  });
+
+  window.addEventListener("popstate", restore);
+
+  // Paged grids (gallery-data.js) may not have reached the photo yet
+  function revealInGrids(id) {
+    return Array.from(document.querySelectorAll("[data-gallery-source]")).some(
+      (grid) =>
+        grid.galleryPager &&
+        !grid.galleryPager.items.has(id) &&
+        grid.galleryPager.reveal(id)
+    );
+  }
+
+  // Deep link on load: the page without the hash becomes the entry below,
+  // so Back closes the viewer instead of leaving the site
+  function openFromUrl() {
+    const id = idFromHash(location.hash);
+    if (!id || !window.Lightbox) return;
+
+    locate(id).then((found) => {
+      if (!found && revealInGrids(id)) return openFromUrl();
+      if (!found) {
+        // Grids rendered from the manifest may not be on the page yet
+        document.addEventListener("gallery:rendered", openFromUrl, {
+          once: true,
+        });
+        return;
+      }
+      const hash = location.hash;
+      history.replaceState(null, "", urlWith(""));
+      history.pushState({ lightboxDepth: 1 }, "", urlWith(hash));
+      restoring = true;
+      found.lightbox.open(found.index).finally(() => {
+        restoring = false;
+      });
+    });
+  }
+
+  window.LightboxHistory = {
+    // Absolute link to a viewer's current photo, for sharing
+    urlFor(lightbox) {
+      return location.origin + urlWith(hashFor(lightbox));
+    },
+  };
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", openFromUrl);
+  } else {
+    openFromUrl();
+  }
+})();
@@ -0,0 +1,201 @@
+/**
+ * Lightbox Info: the story behind each photo
+ * - A collapsible panel with the project's title, description, suburb,
+ *   services performed, paint system and completion date, from
+ *   data/projects.json (gallery-data.js)
+ * - No date in the manifest: the photo's own EXIF date is used instead
+ *   (exif-date.js), so older jobs still show roughly when they were done
+ * - Rows with nothing to say are left out rather than shown empty, and a
+ *   photo with nothing beyond its title gets no toggle at all
+ * - Opened or closed, the choice is remembered for the next visit
+ * Enabled per Lightbox (lightbox.js) with info: true (data-lightbox-info);
+ * the toggle joins the viewer's toolbar the first time it opens.
+ */
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "lightbox-info-open";
+
+  const FIELDS = [
+    { key: "location", label: "Suburb" },
+    { key: "services", label: "Services" },
+    { key: "paintSystem", label: "Paint system" },
+    { key: "date", label: "Completed" },
+  ];
+
+  function remembered() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) === "true";
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function remember(open) {
+    try {
+      localStorage.setItem(STORAGE_KEY, String(open));
+    } catch (_) {}
+  }
+
+  // "2024-03" -> "March 2024", "2024-03-15" -> "15 March 2024"
+  function formatDate(value) {
+    if (value instanceof Date) {
+      return value.toLocaleDateString("en-AU", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      });
+    }
+    const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/.exec(value || "");
+    if (!match) return value || "";
+    const [, year, month, day] = match;
+    if (!month) return year;
+    const date = new Date(Number(year), Number(month) - 1, Number(day) || 1);
+    return date.toLocaleDateString("en-AU", {
+      day: day ? "numeric" : undefined,
+      month: "long",
+      year: "numeric",
+    });
+  }
+
+  function Info(lightbox) {
+    this.lightbox = lightbox;
+    this.manifest = null;
+    this.open = remembered();
+    this.empty = true;
+    this.build();
+    this.bind();
+    this.setOpen(this.open);
+
+    if (window.GalleryData) {
+      window.GalleryData.load()
+        .then((manifest) => {
+          this.manifest = manifest;
+          this.render();
+        })
+        .catch(() => {});
+    }
+  }
+
+  Info.prototype = {
+    build() {
+      const { lightbox } = this;
+      const id = `${lightbox.element.id || "lightbox"}-info`;
+
+      const panel = document.createElement("section");
+      panel.className = "lightbox-info";
+      panel.id = id;
+      panel.setAttribute("aria-label", "Project details");
+      panel.innerHTML = `
+        <h3 class="lightbox-info-title"></h3>
+        <p class="lightbox-info-description"></p>
+        <dl class="lightbox-info-details"></dl>`;
+      lightbox.el.container.appendChild(panel);
+
+      const toggle = document.createElement("button");
+      toggle.type = "button";
+      toggle.className = "lightbox-tool lightbox-info-toggle";
+      toggle.setAttribute("aria-label", "Project details");
+      toggle.setAttribute("aria-controls", id);
+      toggle.innerHTML = '<i class="fas fa-info" aria-hidden="true"></i>';
+      lightbox.toolbar().appendChild(toggle);
+
+      this.panel = panel;
+      this.toggle = toggle;
+    },
+
+    bind() {
+      this.toggle.addEventListener("click", () => {
+        this.setOpen(!this.open);
+        remember(this.open);
+      });
+      this.lightbox.element.addEventListener("lightbox:render", () =>
+        this.render()
+      );
+    },
+
+    setOpen(open) {
+      this.open = open;
+      const shown = open && !this.empty;
+      this.panel.hidden = !shown;
+      this.toggle.hidden = this.empty;
+      this.toggle.setAttribute("aria-expanded", String(shown));
+      this.lightbox.element.classList.toggle("has-info", shown);
+    },
+
+    label(table, id) {
+      const labels = (this.manifest && this.manifest[table]) || {};
+      return labels[id] || id;
+    },
+
+    // Field values for the current photo; date may be filled in later
+    details(image) {
+      const services = (image.services || []).length
+        ? image.services.map((s) => this.label("categories", s))
+        : [image.category && this.label("categories", image.category)];
+      const area = image.area && this.label("areas", image.area);
+
+      return {
+        location: [image.suburb, area !== image.suburb && area]
+          .filter(Boolean)
+          .join(", "),
+        services: services.filter(Boolean).join(", "),
+        paintSystem: image.paintSystem || "",
+        date: image.date ? formatDate(image.date) : "",
+      };
+    },
+
+    render() {
+      const image = this.lightbox.current();
+      if (!image) return;
+      const { panel } = this;
+
+      panel.querySelector(".lightbox-info-title").textContent =
+        image.title || "";
+      const description = panel.querySelector(".lightbox-info-description");
+      description.textContent = image.description || "";
+      description.hidden = !image.description;
+
+      const values = this.details(image);
+      this.fill(values);
+
+      if (!image.date && window.ExifDate) {
+        window.ExifDate.read(image.src).then((taken) => {
+          // Still the same photo, and the camera recorded a date
+          if (!taken || this.lightbox.current() !== image) return;
+          this.fill(Object.assign(values, { date: formatDate(taken) }));
+        });
+      }
+    },
+
+    fill(values) {
+      const list = this.panel.querySelector(".lightbox-info-details");
+      list.innerHTML = "";
+      FIELDS.forEach((field) => {
+        if (!values[field.key]) return;
+        const term = document.createElement("dt");
+        term.textContent = field.label;
+        const detail = document.createElement("dd");
+        detail.textContent = values[field.key];
+        list.append(term, detail);
+      });
+      list.hidden = list.children.length === 0;
+
+      const description = this.panel.querySelector(
+        ".lightbox-info-description"
+      );
+      this.empty = list.hidden && description.hidden;
+      this.setOpen(this.open);
+    },
+  };
+
+  // First open adds the panel to viewers that asked for it
+  document.addEventListener("lightbox:open", (e) => {
+    const lightbox = e.detail.lightbox;
+    if (!lightbox.options.info || lightbox.info) return;
+    lightbox.info = new Info(lightbox);
+    lightbox.info.render();
+  });
+
+  window.LightboxInfo = Info;
+})();
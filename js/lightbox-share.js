@@ -0,0 +1,233 @@
+/**
+ * Lightbox Share: send or save the photo on screen
+ * - Share uses the Web Share API (phones, tablets, Safari) with a link
+ *   straight to the photo (lightbox-history.js); elsewhere the link is
+ *   copied to the clipboard instead
+ * - Download saves a copy with our logo (images/Logo.png) drawn into the
+ *   corner on a canvas, so photos never leave the site unbranded
+ * Adds both buttons to every Lightbox (lightbox.js) the first time it opens.
+ */
+(function () {
+  "use strict";
+
+  const LOGO_SRC = "images/Logo.png";
+  const MAX_EDGE = 2400; // px; bigger originals are scaled down first
+  const LOGO_SIZE = 0.16; // of the photo's shorter edge
+  const LOGO_MARGIN = 0.03;
+  const LOGO_OPACITY = 0.85;
+  const JPEG_QUALITY = 0.9;
+  const TOAST_MS = 2500;
+
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.decoding = "async";
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Image failed to load: ${src}`));
+      img.src = src;
+    });
+  }
+
+  let logoPromise = null;
+
+  function loadLogo() {
+    if (!logoPromise) {
+      logoPromise = loadImage(LOGO_SRC).catch((error) => {
+        logoPromise = null;
+        throw error;
+      });
+    }
+    return logoPromise;
+  }
+
+  // Photo with the logo in the bottom-right corner, as a JPEG blob
+  function watermark(src) {
+    return Promise.all([loadImage(src), loadLogo()]).then(([photo, logo]) => {
+      const scale = Math.min(
+        1,
+        MAX_EDGE / Math.max(photo.naturalWidth, photo.naturalHeight)
+      );
+      const width = Math.round(photo.naturalWidth * scale);
+      const height = Math.round(photo.naturalHeight * scale);
+
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(photo, 0, 0, width, height);
+
+      const shorter = Math.min(width, height);
+      const logoWidth = Math.round(shorter * LOGO_SIZE);
+      const logoHeight = Math.round(
+        (logo.naturalHeight / logo.naturalWidth) * logoWidth
+      );
+      const margin = Math.round(shorter * LOGO_MARGIN);
+      ctx.globalAlpha = LOGO_OPACITY;
+      ctx.drawImage(
+        logo,
+        width - logoWidth - margin,
+        height - logoHeight - margin,
+        logoWidth,
+        logoHeight
+      );
+
+      return new Promise((resolve, reject) => {
+        canvas.toBlob(
+          (blob) =>
+            blob ? resolve(blob) : reject(new Error("Canvas export failed")),
+          "image/jpeg",
+          JPEG_QUALITY
+        );
+      });
+    });
+  }
+
+  function fileName(image) {
+    const base = (image.id || image.title || "photo")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+    return `cockys-painting-${base}.jpg`;
+  }
+
+  function saveBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Clipboard API where allowed, the old execCommand route otherwise
+  function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      return navigator.clipboard.writeText(text);
+    }
+    return new Promise((resolve, reject) => {
+      const field = document.createElement("textarea");
+      field.value = text;
+      field.setAttribute("readonly", "");
+      field.style.position = "fixed";
+      field.style.opacity = "0";
+      document.body.appendChild(field);
+      field.select();
+      const copied = document.execCommand && document.execCommand("copy");
+      field.remove();
+      if (copied) resolve();
+      else reject(new Error("Copy failed"));
+    });
+  }
+
+  function Share(lightbox) {
+    this.lightbox = lightbox;
+    this.toastTimer = null;
+    this.busy = false;
+    this.build();
+  }
+
+  Share.prototype = {
+    build() {
+      const toolbar = this.lightbox.toolbar();
+      this.shareButton = this.button("fa-share-alt", "Share this photo");
+      this.downloadButton = this.button("fa-download", "Download this photo");
+      this.shareButton.addEventListener("click", () => this.share());
+      this.downloadButton.addEventListener("click", () => this.download());
+      toolbar.append(this.shareButton, this.downloadButton);
+
+      this.toast = document.createElement("p");
+      this.toast.className = "lightbox-toast";
+      this.toast.setAttribute("role", "status");
+      this.lightbox.el.container.appendChild(this.toast);
+    },
+
+    button(icon, label) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "lightbox-tool";
+      button.setAttribute("aria-label", label);
+      button.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+      return button;
+    },
+
+    link() {
+      return window.LightboxHistory
+        ? window.LightboxHistory.urlFor(this.lightbox)
+        : location.href;
+    },
+
+    share() {
+      const image = this.lightbox.current();
+      if (!image) return;
+      const url = this.link();
+      const data = {
+        title: image.title || document.title,
+        text: image.description || image.title || "",
+        url,
+      };
+
+      const canShare =
+        navigator.share && (!navigator.canShare || navigator.canShare(data));
+      if (canShare) {
+        navigator.share(data).catch((error) => {
+          // AbortError: the visitor closed the share sheet
+          if (error && error.name !== "AbortError") this.copyLink(url);
+        });
+        return;
+      }
+      this.copyLink(url);
+    },
+
+    copyLink(url) {
+      copyText(url).then(
+        () => this.notify("Link copied to clipboard"),
+        () => this.notify("Couldn't copy the link: " + url)
+      );
+    },
+
+    download() {
+      const image = this.lightbox.current();
+      const button = this.downloadButton;
+      if (!image || this.busy) return;
+
+      // aria-disabled, not disabled: the button keeps focus meanwhile
+      this.busy = true;
+      button.setAttribute("aria-disabled", "true");
+      this.notify("Preparing download...");
+      watermark(image.src)
+        .then((blob) => {
+          saveBlob(blob, fileName(image));
+          this.notify("Download ready");
+        })
+        .catch((error) => {
+          console.warn("Watermarked download failed:", error);
+          this.notify("Sorry, this photo can't be downloaded right now");
+        })
+        .finally(() => {
+          this.busy = false;
+          button.removeAttribute("aria-disabled");
+        });
+    },
+
+    notify(message) {
+      clearTimeout(this.toastTimer);
+      this.toast.textContent = message;
+      this.toast.classList.add("is-visible");
+      this.toastTimer = setTimeout(() => {
+        this.toast.classList.remove("is-visible");
+      }, TOAST_MS);
+    },
+  };
+
+  // First open adds the buttons to that Lightbox
+  document.addEventListener("lightbox:open", (e) => {
+    const lightbox = e.detail.lightbox;
+    if (!lightbox.share) lightbox.share = new Share(lightbox);
+  });
+
+  Share.watermark = watermark;
+
+  window.LightboxShare = Share;
+})();
@@ -0,0 +1,153 @@
+/**
+ * Lightbox Slideshow: let a viewer run as an unattended portfolio loop
+ * - Enabled per Lightbox (lightbox.js) with slideshow: true or the time per
+ *   photo in ms (data-lightbox-slideshow="6000"); autoplay starts it as soon
+ *   as the viewer opens (data-lightbox-autoplay)
+ * - A play/pause button sits in the viewer's toolbar; every photo gets its
+ *   full time, so a tap on an arrow or thumbnail restarts the count
+ * - Pauses while the tab is hidden and picks up again when it's back
+ * - A zoomed photo (lightbox-zoom.js) is held until it's zoomed out
+ * - Keeps a tablet's screen awake while playing, where Wake Lock exists
+ * - Looping viewers play forever; others stop on the last photo
+ * Attaches itself to every slideshow Lightbox the first time it opens.
+ */
+(function () {
+  "use strict";
+
+  const DEFAULT_INTERVAL = 5000;
+
+  function Slideshow(lightbox) {
+    this.lightbox = lightbox;
+    const option = lightbox.options.slideshow;
+    this.interval = typeof option === "number" ? option : DEFAULT_INTERVAL;
+    this.playing = false;
+    this.advancing = false;
+    this.timer = null;
+    this.wakeLock = null;
+    this.button = this.buildButton();
+    this.bind();
+  }
+
+  Slideshow.prototype = {
+    buildButton() {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "lightbox-tool lightbox-slideshow";
+      button.innerHTML = '<i class="fas fa-play" aria-hidden="true"></i>';
+      button.addEventListener("click", () => this.toggle());
+      this.lightbox.toolbar().appendChild(button);
+      return button;
+    },
+
+    bind() {
+      const element = this.lightbox.element;
+      // The count starts once the photo is actually showing
+      element.addEventListener("lightbox:render", () => this.schedule());
+      element.addEventListener("lightbox:close", () => this.pause());
+
+      this.onVisibility = () => {
+        if (!this.playing) return;
+        if (document.hidden) {
+          clearTimeout(this.timer);
+        } else {
+          this.requestWakeLock();
+          this.schedule();
+        }
+      };
+      document.addEventListener("visibilitychange", this.onVisibility);
+      this.update();
+    },
+
+    toggle() {
+      if (this.playing) this.pause();
+      else this.play();
+    },
+
+    play() {
+      if (this.playing || !this.lightbox.isOpen) return;
+      this.playing = true;
+      // A new photo every few seconds shouldn't be read out every time
+      this.lightbox.el.status.setAttribute("aria-live", "off");
+      this.requestWakeLock();
+      this.update();
+      this.schedule();
+    },
+
+    pause() {
+      if (!this.playing) return;
+      this.playing = false;
+      clearTimeout(this.timer);
+      this.lightbox.el.status.setAttribute("aria-live", "polite");
+      this.releaseWakeLock();
+      this.update();
+    },
+
+    schedule() {
+      clearTimeout(this.timer);
+      if (!this.playing || document.hidden) return;
+      this.timer = setTimeout(() => this.advance(), this.interval);
+    },
+
+    advance() {
+      const { lightbox } = this;
+      const last = lightbox.index === lightbox.images.length - 1;
+      if (last && !lightbox.options.loop) {
+        this.pause();
+      } else if (
+        lightbox.images.length < 2 ||
+        (lightbox.zoom && lightbox.zoom.isZoomed())
+      ) {
+        // Nothing new will render, so keep the clock going ourselves
+        this.schedule();
+      } else {
+        // lightbox-history.js replaces its entry for these instead of pushing
+        this.advancing = true;
+        lightbox.next();
+        this.advancing = false;
+      }
+    },
+
+    update() {
+      const { button, playing } = this;
+      button.setAttribute(
+        "aria-label",
+        playing ? "Pause slideshow" : "Play slideshow"
+      );
+      const icon = button.querySelector("i");
+      icon.classList.toggle("fa-play", !playing);
+      icon.classList.toggle("fa-pause", playing);
+      this.lightbox.element.classList.toggle("is-playing", playing);
+    },
+
+    // The lock drops whenever the tab is hidden, so this runs again on return
+    requestWakeLock() {
+      if (!navigator.wakeLock || this.wakeLock) return;
+      navigator.wakeLock
+        .request("screen")
+        .then((lock) => {
+          if (!this.playing) return lock.release();
+          this.wakeLock = lock;
+          lock.addEventListener("release", () => {
+            if (this.wakeLock === lock) this.wakeLock = null;
+          });
+        })
+        .catch(() => {});
+    },
+
+    releaseWakeLock() {
+      if (!this.wakeLock) return;
+      this.wakeLock.release().catch(() => {});
+      this.wakeLock = null;
+    },
+  };
+
+  // First open attaches a Slideshow to viewers that asked for one
+  document.addEventListener("lightbox:open", (e) => {
+    const lightbox = e.detail.lightbox;
+    if (!lightbox.options.slideshow) return;
+    if (!lightbox.slideshow) lightbox.slideshow = new Slideshow(lightbox);
+    if (lightbox.options.autoplay) lightbox.slideshow.play();
+  });
+
+  window.LightboxSlideshow = Slideshow;
+})();
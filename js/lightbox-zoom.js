@@ -0,0 +1,249 @@
+/**
+ * Lightbox Zoom: look closely at cut-in lines and texture
+ * - Pinch to zoom and drag to pan on touch screens
+ * - Double-tap (or double-click) toggles between fit and 2.5x at that spot
+ * - Mouse wheel / trackpad pinch zooms around the cursor on desktop
+ * - Swipe navigation is suppressed while zoomed (Lightbox checks blocksSwipe)
+ * - Zoom resets whenever the photo changes or the viewer closes
+ * Attaches itself to every Lightbox (lightbox.js) the first time it opens.
+ */
+(function () {
+  "use strict";
+
+  const MIN_SCALE = 1;
+  const MAX_SCALE = 4;
+  const DOUBLE_TAP_SCALE = 2.5;
+  const DOUBLE_TAP_MS = 300;
+  const DOUBLE_TAP_DISTANCE = 25;
+  const WHEEL_SPEED = 0.002;
+  const BASE_TRANSITION = "opacity 0.3s ease";
+  const ANIMATED_TRANSITION = "opacity 0.3s ease, transform 0.25s ease";
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  function Zoom(lightbox) {
+    this.lightbox = lightbox;
+    this.image = lightbox.el.image;
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.pointers = new Map();
+    this.pinch = null;
+    this.pan = null;
+    this.down = null;
+    this.lastTap = null;
+    this.lastPinchEnd = 0;
+    this.bind();
+  }
+
+  Zoom.prototype = {
+    bind() {
+      const image = this.image;
+      image.style.touchAction = "none"; // gestures are ours, not the page's
+      image.draggable = false;
+
+      image.addEventListener("pointerdown", (e) => this.onDown(e));
+      image.addEventListener("pointermove", (e) => this.onMove(e));
+      image.addEventListener("pointerup", (e) => this.onUp(e));
+      image.addEventListener("pointercancel", (e) => this.onUp(e));
+      image.addEventListener("wheel", (e) => this.onWheel(e), {
+        passive: false,
+      });
+
+      const element = this.lightbox.element;
+      ["lightbox:change", "lightbox:close"].forEach((type) => {
+        element.addEventListener(type, () => this.reset(false));
+      });
+    },
+
+    isZoomed() {
+      return this.scale > MIN_SCALE;
+    },
+
+    // Also true just after a pinch, whose last finger can look like a swipe
+    blocksSwipe() {
+      return (
+        this.isZoomed() ||
+        this.pointers.size > 0 ||
+        Date.now() - this.lastPinchEnd < DOUBLE_TAP_MS
+      );
+    },
+
+    // Screen point relative to the untransformed image centre
+    fromCenter(point) {
+      const rect = this.image.getBoundingClientRect();
+      return {
+        x: point.x - (rect.left + rect.width / 2) + this.x,
+        y: point.y - (rect.top + rect.height / 2) + this.y,
+      };
+    },
+
+    // Zoom to a scale while keeping one screen point fixed
+    zoomTo(scale, point, animate) {
+      const next = clamp(scale, MIN_SCALE, MAX_SCALE);
+      const p = point ? this.fromCenter(point) : { x: 0, y: 0 };
+      const ratio = next / this.scale;
+      this.x = p.x - (p.x - this.x) * ratio;
+      this.y = p.y - (p.y - this.y) * ratio;
+      this.scale = next;
+      this.apply(animate);
+    },
+
+    panBy(dx, dy) {
+      this.x += dx;
+      this.y += dy;
+      this.apply(false);
+    },
+
+    reset(animate) {
+      this.scale = 1;
+      this.x = 0;
+      this.y = 0;
+      this.pinch = null;
+      this.pan = null;
+      this.pointers.clear();
+      this.apply(animate);
+    },
+
+    apply(animate) {
+      // Never pan past the photo's edges
+      const w = this.image.offsetWidth;
+      const h = this.image.offsetHeight;
+      const maxX = ((this.scale - 1) * w) / 2;
+      const maxY = ((this.scale - 1) * h) / 2;
+      this.x = clamp(this.x, -maxX, maxX);
+      this.y = clamp(this.y, -maxY, maxY);
+
+      this.image.style.transition = animate
+        ? ANIMATED_TRANSITION
+        : BASE_TRANSITION;
+      this.image.style.transform = this.isZoomed()
+        ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})`
+        : "";
+      this.lightbox.element.classList.toggle("is-zoomed", this.isZoomed());
+    },
+
+    // ------------------------------
+    // Pointer gestures
+    // ------------------------------
+    onDown(e) {
+      this.image.setPointerCapture(e.pointerId);
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (this.pointers.size === 2) {
+        const [a, b] = Array.from(this.pointers.values());
+        this.pinch = {
+          distance: distance(a, b) || 1,
+          scale: this.scale,
+          center: midpoint(a, b),
+        };
+        this.pan = null;
+        this.lastTap = null;
+      } else if (this.pointers.size === 1) {
+        this.down = { x: e.clientX, y: e.clientY };
+        if (this.isZoomed()) this.pan = { x: e.clientX, y: e.clientY };
+      }
+    },
+
+    onMove(e) {
+      if (!this.pointers.has(e.pointerId)) return;
+      const point = { x: e.clientX, y: e.clientY };
+      this.pointers.set(e.pointerId, point);
+
+      if (this.pinch && this.pointers.size === 2) {
+        e.preventDefault();
+        const [a, b] = Array.from(this.pointers.values());
+        const center = midpoint(a, b);
+        // Follow the fingers: pan with the midpoint, then scale around it
+        this.panBy(
+          center.x - this.pinch.center.x,
+          center.y - this.pinch.center.y
+        );
+        this.pinch.center = center;
+        this.zoomTo(
+          (this.pinch.scale * distance(a, b)) / this.pinch.distance,
+          center,
+          false
+        );
+      } else if (this.pan) {
+        e.preventDefault();
+        this.panBy(point.x - this.pan.x, point.y - this.pan.y);
+        this.pan = point;
+      }
+    },
+
+    onUp(e) {
+      if (!this.pointers.has(e.pointerId)) return;
+      const wasPinch = !!this.pinch;
+      this.pointers.delete(e.pointerId);
+
+      if (wasPinch) {
+        this.lastPinchEnd = Date.now();
+        if (this.pointers.size < 2) this.pinch = null;
+        // One finger left on the glass keeps panning
+        if (this.pointers.size === 1 && this.isZoomed()) {
+          const rest = Array.from(this.pointers.values())[0];
+          this.pan = { x: rest.x, y: rest.y };
+        }
+        return;
+      }
+      this.pan = null;
+      // Only a press that stayed put counts as a tap
+      const point = { x: e.clientX, y: e.clientY };
+      if (
+        e.type === "pointerup" &&
+        this.down &&
+        distance(point, this.down) < DOUBLE_TAP_DISTANCE
+      ) {
+        this.onTap(e);
+      }
+    },
+
+    onTap(e) {
+      const point = { x: e.clientX, y: e.clientY };
+      const now = Date.now();
+      const last = this.lastTap;
+
+      if (
+        last &&
+        now - last.time < DOUBLE_TAP_MS &&
+        distance(point, last) < DOUBLE_TAP_DISTANCE
+      ) {
+        this.lastTap = null;
+        if (this.isZoomed()) this.reset(true);
+        else this.zoomTo(DOUBLE_TAP_SCALE, point, true);
+        return;
+      }
+      this.lastTap = { x: point.x, y: point.y, time: now };
+    },
+
+    onWheel(e) {
+      e.preventDefault();
+      // Trackpad pinch arrives as ctrl+wheel with small deltas
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      this.zoomTo(
+        this.scale * Math.exp(-delta * WHEEL_SPEED * (e.ctrlKey ? 4 : 1)),
+        { x: e.clientX, y: e.clientY },
+        false
+      );
+    },
+  };
+
+  // First open attaches a Zoom to that Lightbox
+  document.addEventListener("lightbox:open", (e) => {
+    const lightbox = e.detail.lightbox;
+    if (!lightbox.zoom) lightbox.zoom = new Zoom(lightbox);
+  });
+
+  window.LightboxZoom = Zoom;
+})();
@@ -1,256 +1,684 @@
-// Lightbox Gallery Functionality
-// Gallery images data - All featured project images in numerical order
-const featuredProjectImages = [
-  {
-    src: "Featured Projects/MAIN.jpg",
-    title: "Featured Project 1",
-    description: "Professional painting project showcase",
-  },
-  {
-    src: "Featured Projects/2.jpg",
-    title: "Featured Project 2",
-    description: "Professional painting project showcase",
-  },
-  {
-    src: "Featured Projects/3.jpg",
-    title: "Featured Project 3",
-    description: "Professional painting project showcase",
-  },
-  {
-    src: "Featured Projects/4.jpg",
-    title: "Featured Project 4",
-    description: "Professional painting project showcase",
-  },
-  {
-    src: "Featured Projects/5.jpg",
-    title: "Featured Project 5",
-    description: "Professional painting project showcase",
-  },
-  {
-    src: "Featured Projects/6.jpg",
-    title: "Featured Project 6",
-    description: "Professional painting project showcase",
-  },
-  {
-    src: "Featured Projects/7.jpg",
-    title: "Featured Project 7",
-    description: "Professional painting project showcase",
-  },
-  {
-    src: "Featured Projects/8.jpg",
-    title: "Featured Project 8",
-    description: "Professional painting project showcase",
-  },
-  {
-    src: "Featured Projects/9.jpg",
-    title: "Featured Project 9",
-    description: "Professional painting project showcase",
-  },
-];
-
-// Preload Featured Projects images for instant lightbox display
-(function preloadFeaturedProjectImages() {
-  try {
-    featuredProjectImages.forEach((item) => {
-      const img = new Image();
-      img.decoding = "async";
-      img.loading = "eager";
-      img.src = item.src;
-    });
-  } catch (_) {}
-})();
+/**
+ * Lightbox: one viewer component for every photo overlay on the site
+ * - new Lightbox({ element, images, captions, loop, thumbnails, fixedArrows,
+ *   slideshow, autoplay, info })
+ * - images: an array of { src, alt, title, description }, a Promise of one,
+ *   or a function returning either (called on every open, so a filtered grid
+ *   can pass "whatever is visible right now")
+ * - Controls are found by class inside the element: .lightbox-prev,
+ *   .lightbox-next, .lightbox-close, .lightbox-content img, .lightbox-caption
+ * - Keyboard (Escape / arrows), background click, swipe and image preloading
+ * - thumbnails: a scrolling filmstrip under the photo that keeps the
+ *   current one highlighted and in view; click a thumbnail to jump to it
+ * - Pinch / double-tap / wheel zoom comes from lightbox-zoom.js when loaded,
+ *   slideshow (true or ms per photo) / autoplay from lightbox-slideshow.js,
+ *   and info (a project details panel) from lightbox-info.js
+ * - Several instances can live on one page; only the topmost open one
+ *   reacts to the keyboard
+ * - Modal dialog semantics: focus moves in on open and back to the photo
+ *   that opened it on close, Tab stays inside, the rest of the page is inert
+ *   and every photo change is announced ("Photo 3 of 9: Exterior Painting")
+ *
+ * Declarative use (no page script needed):
+ *   <div id="lightbox" class="lightbox-overlay" data-lightbox-source="featured">
+ *     images from that GalleryData collection; data-lightbox-captions,
+ *     data-lightbox-thumbnails, data-lightbox-fixed-arrows,
+ *     data-lightbox-slideshow="6000", data-lightbox-autoplay,
+ *     data-lightbox-info and data-lightbox-loop="false" map to the options
+ *     above
+ *   <img data-lightbox-open="lightbox" data-lightbox-index="0">
+ *     opens that viewer at that photo
+ *   <div data-gallery-source="gallery" data-lightbox-target="gallery-lightbox">
+ *     clicking a photo in a rendered grid opens it at the card's data-index
+ *
+ * Events on the element: lightbox:open, lightbox:change, lightbox:close,
+ * each with detail { lightbox, index, image }. lightbox:render fires once the
+ * new photo is actually in place (after the fade), for add-ons that draw
+ * into the viewer.
+ */
+(function () {
+  "use strict";
+
+  const SWIPE_THRESHOLD = 50;
+  const FADE_MS = 150;
+  const ARROW_SIZE = 60; // matches .lightbox-nav in CSS
+  const ARROW_GAP = 16;
 
-let currentImageIndex = 0;
-
-// Open lightbox with specific image
-function openLightbox(index) {
-  currentImageIndex = index;
-  const lightbox = document.getElementById("lightbox");
-  const lightboxImage = document.getElementById("lightbox-image");
-  const lightboxTitle = document.getElementById("lightbox-title");
-  const lightboxDescription = document.getElementById("lightbox-description");
-
-  // Set image and content
-  const currentImage = featuredProjectImages[currentImageIndex];
-  lightboxImage.src = currentImage.src;
-  lightboxImage.alt = currentImage.title;
-  lightboxTitle.textContent = currentImage.title;
-  lightboxDescription.textContent = currentImage.description;
-
-  // Show lightbox
-  lightbox.classList.add("active");
-  document.body.style.overflow = "hidden"; // Prevent background scrolling
-
-  // Add keyboard event listener
-  document.addEventListener("keydown", handleKeyPress);
-}
-
-// Close lightbox
-function closeLightbox() {
-  const lightbox = document.getElementById("lightbox");
-  lightbox.classList.remove("active");
-  document.body.style.overflow = ""; // Restore scrolling
-
-  // Remove keyboard event listener
-  document.removeEventListener("keydown", handleKeyPress);
-}
-
-// Navigate to previous image
-function previousImage() {
-  currentImageIndex =
-    (currentImageIndex - 1 + featuredProjectImages.length) %
-    featuredProjectImages.length;
-  updateLightboxContent();
-}
-
-// Navigate to next image
-function nextImage() {
-  currentImageIndex = (currentImageIndex + 1) % featuredProjectImages.length;
-  updateLightboxContent();
-}
-
-// Update lightbox content
-function updateLightboxContent() {
-  const lightboxImage = document.getElementById("lightbox-image");
-  const lightboxTitle = document.getElementById("lightbox-title");
-  const lightboxDescription = document.getElementById("lightbox-description");
-
-  const currentImage = featuredProjectImages[currentImageIndex];
-
-  // Add fade effect
-  lightboxImage.style.opacity = "0";
-
-  setTimeout(() => {
-    lightboxImage.src = currentImage.src;
-    lightboxImage.alt = currentImage.title;
-    lightboxTitle.textContent = currentImage.title;
-    lightboxDescription.textContent = currentImage.description;
-    lightboxImage.style.opacity = "1";
-  }, 150);
-}
-
-// Handle keyboard navigation
-function handleKeyPress(event) {
-  switch (event.key) {
-    case "Escape":
-      closeLightbox();
-      break;
-    case "ArrowLeft":
-      previousImage();
-      break;
-    case "ArrowRight":
-      nextImage();
-      break;
+  // Open viewers, most recent last
+  const stack = [];
+  const instances = new Map();
+
+  const FOCUSABLE =
+    'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+  function toElement(el) {
+    return typeof el === "string" ? document.querySelector(el) : el;
   }
-}
 
-// Close lightbox when clicking outside the image
-document.addEventListener("DOMContentLoaded", function () {
-  const lightbox = document.getElementById("lightbox");
+  function Lightbox(options) {
+    this.options = Object.assign(
+      {
+        element: null,
+        images: [],
+        captions: false,
+        loop: true,
+        thumbnails: false,
+        fixedArrows: false,
+        slideshow: false,
+        autoplay: false,
+        info: false,
+        label: "Photo viewer",
+      },
+      options
+    );
 
-  lightbox.addEventListener("click", function (event) {
-    if (event.target === lightbox) {
-      closeLightbox();
-    }
-  });
-
-  // Add smooth transition to lightbox image
-  const lightboxImage = document.getElementById("lightbox-image");
-  lightboxImage.style.transition = "opacity 0.3s ease";
-});
-
-// Desktop-only: keep nav arrows fixed at edges of the largest possible image
-(function setupFixedArrowPositions() {
-  function getMaxDisplayedWidthPx(imageSrcs) {
-    return new Promise((resolve) => {
-      let remaining = imageSrcs.length;
-      let maxAR = 0; // aspect ratio w/h
-      const finish = () => {
-        if (maxAR <= 0) maxAR = 16 / 9; // sensible fallback
-        const width = Math.min(
-          window.innerWidth * 0.8, // max-width: 80vw
-          window.innerHeight * 0.7 * maxAR // max-height: 70vh converted to width via AR
-        );
-        resolve(width);
+    this.element = toElement(this.options.element);
+    if (!this.element) throw new Error("Lightbox: element not found");
+
+    this.images = [];
+    this.index = 0;
+    this.isOpen = false;
+    this.opener = null;
+    this.inerted = [];
+
+    const el = this.element;
+    this.el = {
+      container: el.querySelector(".lightbox-container") || el,
+      content: el.querySelector(".lightbox-content") || el,
+      image:
+        el.querySelector("[data-lightbox-image]") ||
+        el.querySelector(".lightbox-content img"),
+      prev: el.querySelector(".lightbox-prev"),
+      next: el.querySelector(".lightbox-next"),
+      close: Array.from(el.querySelectorAll(".lightbox-close")),
+      caption: null,
+      thumbnails: null,
+      toolbar: null,
+    };
+    if (!this.el.image) throw new Error("Lightbox: no image element");
+
+    if (this.options.captions) this.el.caption = this.buildCaption();
+    if (this.options.thumbnails) this.el.thumbnails = this.buildThumbnails();
+    this.el.status = this.buildDialog();
+
+    this.bind();
+    if (el.id) instances.set(el.id, this);
+  }
+
+  Lightbox.prototype = {
+    bind() {
+      const { el } = this;
+
+      el.prev && el.prev.addEventListener("click", () => this.prev());
+      el.next && el.next.addEventListener("click", () => this.next());
+      el.close.forEach((btn) =>
+        btn.addEventListener("click", () => this.close())
+      );
+
+      // Close when clicking outside the image
+      this.element.addEventListener("click", (e) => {
+        if (e.target === this.element) this.close();
+      });
+
+      this.onKeydown = (e) => {
+        if (!this.isOpen || stack[stack.length - 1] !== this) return;
+        switch (e.key) {
+          case "Tab":
+            this.trapFocus(e);
+            break;
+          case "Escape":
+            this.close();
+            break;
+          case "ArrowLeft":
+            this.prev();
+            break;
+          case "ArrowRight":
+            this.next();
+            break;
+        }
       };
-      const timeout = setTimeout(finish, 1000);
-      imageSrcs.forEach((src) => {
-        const img = new Image();
-        img.onload = () => {
-          const ar =
-            img.naturalWidth && img.naturalHeight
-              ? img.naturalWidth / img.naturalHeight
-              : 0;
-          if (ar > maxAR) maxAR = ar;
-          if (--remaining === 0) {
-            clearTimeout(timeout);
-            finish();
+      document.addEventListener("keydown", this.onKeydown);
+
+      // Touch/swipe support for mobile
+      let touchStartX = 0;
+      el.container.addEventListener(
+        "touchstart",
+        (e) => {
+          touchStartX = e.changedTouches[0].screenX;
+        },
+        { passive: true }
+      );
+      el.container.addEventListener("touchend", (e) => {
+        // Panning a zoomed photo (lightbox-zoom.js) is not a swipe
+        if (this.zoom && this.zoom.blocksSwipe()) return;
+        const distance = e.changedTouches[0].screenX - touchStartX;
+        if (Math.abs(distance) <= SWIPE_THRESHOLD) return;
+        // Swipe right - previous image; swipe left - next image
+        if (distance > 0) this.prev();
+        else this.next();
+      });
+
+      el.image.style.transition = "opacity 0.3s ease";
+
+      if (this.options.fixedArrows) {
+        this.onResize = () => this.positionArrows();
+        window.addEventListener("resize", this.onResize);
+      }
+    },
+
+    // role=dialog plus a polite live region for photo changes
+    buildDialog() {
+      const dialog = this.element;
+      dialog.setAttribute("role", "dialog");
+      dialog.setAttribute("aria-modal", "true");
+      if (
+        !dialog.hasAttribute("aria-label") &&
+        !dialog.hasAttribute("aria-labelledby")
+      ) {
+        dialog.setAttribute("aria-label", this.options.label);
+      }
+      dialog.tabIndex = -1;
+
+      const status = document.createElement("p");
+      status.className = "visually-hidden lightbox-status";
+      status.setAttribute("aria-live", "polite");
+      status.setAttribute("aria-atomic", "true");
+      dialog.appendChild(status);
+      return status;
+    },
+
+    buildCaption() {
+      const existing = this.element.querySelector(".lightbox-caption");
+      if (existing) return existing;
+      const caption = document.createElement("div");
+      caption.className = "lightbox-caption";
+      caption.innerHTML = "<h3></h3><p></p>";
+      this.el.content.appendChild(caption);
+      return caption;
+    },
+
+    // Filmstrip along the bottom of the overlay, clear of the photo
+    buildThumbnails() {
+      const strip = document.createElement("div");
+      strip.className = "lightbox-thumbnails";
+      strip.setAttribute("role", "group");
+      strip.setAttribute("aria-label", "Thumbnails");
+      strip.addEventListener("click", (e) => {
+        const thumb = e.target.closest(".lightbox-thumbnail");
+        if (thumb) this.show(Number(thumb.dataset.index));
+      });
+      this.element.appendChild(strip);
+      return strip;
+    },
+
+    // Button row for add-ons (slideshow, share, download), made on demand
+    toolbar() {
+      if (!this.el.toolbar) {
+        const bar = document.createElement("div");
+        bar.className = "lightbox-toolbar";
+        bar.setAttribute("role", "group");
+        bar.setAttribute("aria-label", "Photo actions");
+        this.el.container.appendChild(bar);
+        this.el.toolbar = bar;
+      }
+      return this.el.toolbar;
+    },
+
+    renderThumbnails() {
+      const strip = this.el.thumbnails;
+      if (!strip) return;
+      strip.innerHTML = "";
+      this.images.forEach((image, index) => {
+        const thumb = document.createElement("button");
+        thumb.type = "button";
+        thumb.className = "lightbox-thumbnail";
+        thumb.dataset.index = index;
+        thumb.setAttribute(
+          "aria-label",
+          `Show photo ${index + 1}: ${image.title || image.alt || ""}`.trim()
+        );
+        const img = document.createElement("img");
+        img.src = image.src;
+        img.alt = "";
+        img.loading = "lazy";
+        img.decoding = "async";
+        thumb.appendChild(img);
+        strip.appendChild(thumb);
+      });
+    },
+
+    // Resolve the images option to an array; a failed source means no images
+    loadImages() {
+      let source = this.options.images;
+      if (typeof source === "function") source = source();
+      return Promise.resolve(source)
+        .then((images) => images || [])
+        .catch(() => [])
+        .then((images) => {
+          Lightbox.preload(images);
+          const changed =
+            images.length !== this.images.length ||
+            images.some((image, i) => image.src !== this.images[i].src);
+          this.images = images;
+          if (changed) this.renderThumbnails();
+          return images;
+        });
+    },
+
+    // opener: element to refocus on close (defaults to the focused one)
+    open(index, opener) {
+      const active = document.activeElement;
+      const returnTo =
+        opener || (active && active !== document.body ? active : null);
+
+      return this.loadImages().then((images) => {
+        if (images.length === 0) return;
+        const last = images.length - 1;
+        this.index = Math.max(0, Math.min(Number(index) || 0, last));
+        this.render(false);
+
+        if (!this.isOpen) {
+          this.isOpen = true;
+          this.opener = returnTo;
+          stack.push(this);
+          this.element.classList.add("active");
+          document.body.style.overflow = "hidden"; // Prevent background scrolling
+          this.setInert(true);
+          this.focusFirst();
+          if (this.options.fixedArrows) this.positionArrows();
+          // The strip had no width to scroll while the overlay was hidden
+          if (this.el.thumbnails) this.scrollThumbnails(false);
+          this.emit("open");
+        }
+      });
+    },
+
+    close() {
+      if (!this.isOpen) return;
+      this.isOpen = false;
+      stack.splice(stack.indexOf(this), 1);
+      this.element.classList.remove("active");
+      if (stack.length === 0) document.body.style.overflow = ""; // Restore scrolling
+      this.setInert(false);
+      this.el.status.textContent = "";
+
+      const opener = this.opener;
+      this.opener = null;
+      if (opener && opener.isConnected) opener.focus({ preventScroll: true });
+      this.emit("close");
+    },
+
+    // ------------------------------
+    // Focus management
+    // ------------------------------
+    focusables() {
+      return Array.from(this.element.querySelectorAll(FOCUSABLE)).filter(
+        (node) =>
+          !node.disabled && !node.hidden && node.getClientRects().length > 0
+      );
+    },
+
+    focusFirst() {
+      const close = this.el.close.find((btn) => btn.getClientRects().length);
+      const target = close || this.focusables()[0] || this.element;
+      target.focus({ preventScroll: true });
+    },
+
+    // Keep Tab and Shift+Tab cycling inside the dialog
+    trapFocus(e) {
+      const nodes = this.focusables();
+      if (nodes.length === 0) {
+        e.preventDefault();
+        this.element.focus();
+        return;
+      }
+      const first = nodes[0];
+      const last = nodes[nodes.length - 1];
+      const active = document.activeElement;
+      const inside = this.element.contains(active);
+      if (e.shiftKey && (active === first || !inside)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (active === last || !inside)) {
+        e.preventDefault();
+        first.focus();
+      }
+    },
+
+    // Everything outside the dialog is inert while it's open
+    setInert(on) {
+      if (!on) {
+        this.inerted.forEach((node) => {
+          node.inert = false;
+          node.removeAttribute("aria-hidden");
+        });
+        this.inerted = [];
+        return;
+      }
+      let node = this.element;
+      while (node && node !== document.body) {
+        const parent = node.parentElement;
+        if (!parent) break;
+        Array.from(parent.children).forEach((sibling) => {
+          if (
+            sibling === node ||
+            sibling.inert ||
+            sibling.tagName === "SCRIPT" ||
+            sibling.tagName === "STYLE"
+          ) {
+            return;
           }
-        };
-        img.onerror = () => {
+          sibling.inert = true;
+          // Older browsers without inert still skip it in the a11y tree
+          sibling.setAttribute("aria-hidden", "true");
+          this.inerted.push(sibling);
+        });
+        node = parent;
+      }
+    },
+
+    prev() {
+      this.show(this.index - 1);
+    },
+
+    next() {
+      this.show(this.index + 1);
+    },
+
+    // Move to a photo, wrapping or stopping at the ends depending on loop
+    show(index) {
+      const count = this.images.length;
+      if (count === 0) return;
+      let target = index;
+      if (this.options.loop) target = (index + count) % count;
+      else if (index < 0 || index >= count) return;
+      if (target === this.index) return;
+
+      this.index = target;
+      this.render(true);
+      this.emit("change");
+    },
+
+    current() {
+      return this.images[this.index] || null;
+    },
+
+    announce() {
+      const image = this.current();
+      const label = image.title || image.alt;
+      this.el.status.textContent =
+        `Photo ${this.index + 1} of ${this.images.length}` +
+        (label ? `: ${label}` : "");
+    },
+
+    render(fade) {
+      const image = this.current();
+      const { el } = this;
+      const apply = () => {
+        el.image.src = image.src;
+        el.image.alt = image.alt || image.title || "";
+        if (el.caption) {
+          el.caption.querySelector("h3").textContent = image.title || "";
+          el.caption.querySelector("p").textContent = image.description || "";
+        }
+        el.image.style.opacity = "1";
+        this.announce();
+        this.emit("render");
+      };
+
+      if (fade) {
+        // Add fade effect
+        el.image.style.opacity = "0";
+        setTimeout(apply, FADE_MS);
+      } else {
+        apply();
+      }
+
+      if (!this.options.loop) {
+        if (el.prev) el.prev.disabled = this.index === 0;
+        if (el.next) el.next.disabled = this.index === this.images.length - 1;
+      }
+
+      if (el.thumbnails) {
+        Array.from(el.thumbnails.children).forEach((thumb, i) => {
+          const active = i === this.index;
+          thumb.classList.toggle("active", active);
+          if (active) thumb.setAttribute("aria-current", "true");
+          else thumb.removeAttribute("aria-current");
+        });
+        this.scrollThumbnails(fade);
+      }
+    },
+
+    // Centre the current thumbnail in the strip (not the page, unlike
+    // scrollIntoView)
+    scrollThumbnails(smooth) {
+      const strip = this.el.thumbnails;
+      const thumb = strip.children[this.index];
+      if (!thumb || strip.scrollWidth <= strip.clientWidth) return;
+      const left =
+        thumb.offsetLeft - (strip.clientWidth - thumb.offsetWidth) / 2;
+      if (typeof strip.scrollTo === "function") {
+        strip.scrollTo({ left, behavior: smooth ? "smooth" : "auto" });
+      } else {
+        strip.scrollLeft = left;
+      }
+    },
+
+    // Desktop-only: keep nav arrows fixed at edges of the largest possible image
+    positionArrows() {
+      const { prev, next } = this.el;
+      if (window.innerWidth < 769 || !prev || !next) return; // PC only
+      if (this.images.length === 0) return;
+
+      maxDisplayedWidth(this.images.map((i) => i.src)).then((maxWidth) => {
+        const margin = Math.max((window.innerWidth - maxWidth) / 2, 12);
+        const offset = Math.max(
+          12,
+          Math.round(margin - ARROW_SIZE - ARROW_GAP)
+        );
+        prev.style.left = offset + "px";
+        prev.style.right = "";
+        next.style.right = offset + "px";
+        next.style.left = "";
+      });
+    },
+
+    emit(name) {
+      this.element.dispatchEvent(
+        new CustomEvent(`lightbox:${name}`, {
+          bubbles: true,
+          detail: { lightbox: this, index: this.index, image: this.current() },
+        })
+      );
+    },
+
+    destroy() {
+      this.close();
+      document.removeEventListener("keydown", this.onKeydown);
+      if (this.onResize) window.removeEventListener("resize", this.onResize);
+      if (this.element.id) instances.delete(this.element.id);
+    },
+  };
+
+  // Widest image as displayed (max 80vw x 70vh), cached per list of sources
+  const widthCache = new Map();
+
+  function maxDisplayedWidth(srcs) {
+    const key = srcs.join("|");
+    let aspect = widthCache.get(key);
+    if (!aspect) {
+      aspect = new Promise((resolve) => {
+        let remaining = srcs.length;
+        let maxAR = 0; // aspect ratio w/h
+        const finish = () => resolve(maxAR > 0 ? maxAR : 16 / 9); // sensible fallback
+        const timeout = setTimeout(finish, 1000);
+        const done = () => {
           if (--remaining === 0) {
             clearTimeout(timeout);
             finish();
           }
         };
-        img.src = src;
+        srcs.forEach((src) => {
+          const img = new Image();
+          img.onload = () => {
+            const ar =
+              img.naturalWidth && img.naturalHeight
+                ? img.naturalWidth / img.naturalHeight
+                : 0;
+            if (ar > maxAR) maxAR = ar;
+            done();
+          };
+          img.onerror = done;
+          img.src = src;
+        });
+      });
+      widthCache.set(key, aspect);
+    }
+    return aspect.then((ar) =>
+      Math.min(window.innerWidth * 0.8, window.innerHeight * 0.7 * ar)
+    );
+  }
+
+  // Preload images (and "before" pairs) so the viewer opens instantly
+  const preloaded = new Set();
+
+  Lightbox.preload = function (images) {
+    try {
+      images.forEach((image) => {
+        [image.src, image.before].filter(Boolean).forEach((src) => {
+          if (preloaded.has(src)) return;
+          preloaded.add(src);
+          const img = new Image();
+          img.decoding = "async";
+          img.src = src;
+        });
       });
+    } catch (_) {}
+  };
+
+  Lightbox.get = function (id) {
+    return instances.get(id) || null;
+  };
+
+  Lightbox.all = function () {
+    return Array.from(instances.values());
+  };
+
+  // ------------------------------
+  // Declarative setup
+  // ------------------------------
+  // Grid cards opening this viewer, minus any the filters have hidden
+  function shownCards(element) {
+    const grid =
+      element.id &&
+      document.querySelector(`[data-lightbox-target="${element.id}"]`);
+    return grid && window.GalleryData
+      ? window.GalleryData.visibleItems(grid)
+      : null;
+  }
+
+  function fromMarkup(element) {
+    const d = element.dataset;
+    const collection = d.lightboxSource;
+    return new Lightbox({
+      element,
+      // Step through the photos the visitor can see, in grid order
+      images: () => {
+        if (!window.GalleryData) return [];
+        return window.GalleryData.collection(collection).then((projects) => {
+          const cards = shownCards(element);
+          if (!cards || cards.length === 0) return projects;
+          const shown = new Set(cards.map((card) => card.dataset.projectId));
+          return projects.filter((p) => shown.has(p.id));
+        });
+      },
+      captions: "lightboxCaptions" in d,
+      thumbnails: "lightboxThumbnails" in d,
+      fixedArrows: "lightboxFixedArrows" in d,
+      slideshow:
+        "lightboxSlideshow" in d ? Number(d.lightboxSlideshow) || true : false,
+      autoplay: "lightboxAutoplay" in d,
+      info: "lightboxInfo" in d,
+      loop: d.lightboxLoop !== "false",
     });
   }
 
-  async function positionArrows() {
-    if (window.innerWidth < 769) return; // PC only
-    const overlay = document.getElementById("lightbox");
-    if (!overlay) return;
-    const prev = overlay.querySelector(".lightbox-prev");
-    const next = overlay.querySelector(".lightbox-next");
-    if (!prev || !next) return;
-
-    const srcs = featuredProjectImages.map((i) => i.src);
-    const maxWidth = await getMaxDisplayedWidthPx(srcs);
-    const margin = Math.max((window.innerWidth - maxWidth) / 2, 12);
-    const arrowSize = 60; // matches CSS
-    const gap = 16;
-    const offset = Math.max(12, Math.round(margin - arrowSize - gap));
-
-    prev.style.left = offset + "px";
-    prev.style.right = "";
-    next.style.right = offset + "px";
-    next.style.left = "";
+  // Photos (or before/after sliders) in grids rendered by gallery-data.js
+  const GRID_PHOTO = "[data-lightbox-target] [data-index] img";
+  const GRID_TRIGGER = `${GRID_PHOTO}, [data-lightbox-target] [data-index] .before-after`;
+  const FOCUSABLE_TRIGGER = `[data-lightbox-open], ${GRID_PHOTO}`;
+
+  function onTriggerClick(e) {
+    const trigger = e.target.closest("[data-lightbox-open]");
+    if (trigger) {
+      const viewer = Lightbox.get(trigger.dataset.lightboxOpen);
+      if (viewer) viewer.open(trigger.dataset.lightboxIndex, trigger);
+      return;
+    }
+
+    // Photos in a rendered grid (gallery-data.js): open at that card among
+    // the ones still showing
+    const photo = e.target.closest(GRID_TRIGGER);
+    if (!photo) return;
+    const grid = photo.closest("[data-lightbox-target]");
+    const viewer = Lightbox.get(grid.dataset.lightboxTarget);
+    if (!viewer) return;
+    const card = photo.closest("[data-index]");
+    const index = window.GalleryData
+      ? window.GalleryData.visibleItems(grid).indexOf(card)
+      : Number(card.dataset.index);
+    viewer.open(index, photo);
   }
 
-  document.addEventListener("DOMContentLoaded", positionArrows);
-  window.addEventListener("resize", positionArrows);
-})();
+  // Enter / Space on a focusable trigger behaves like a click
+  function onTriggerKeydown(e) {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    const trigger = e.target.closest(FOCUSABLE_TRIGGER);
+    if (!trigger || trigger !== e.target) return;
+    e.preventDefault();
+    trigger.click();
+  }
 
-// Touch/swipe support for mobile
-let touchStartX = 0;
-let touchEndX = 0;
-
-document.addEventListener("DOMContentLoaded", function () {
-  const lightboxContainer = document.querySelector(".lightbox-container");
-
-  lightboxContainer.addEventListener("touchstart", function (event) {
-    touchStartX = event.changedTouches[0].screenX;
-  });
-
-  lightboxContainer.addEventListener("touchend", function (event) {
-    touchEndX = event.changedTouches[0].screenX;
-    handleSwipe();
-  });
-});
-
-function handleSwipe() {
-  const swipeThreshold = 50;
-  const swipeDistance = touchEndX - touchStartX;
-
-  if (Math.abs(swipeDistance) > swipeThreshold) {
-    if (swipeDistance > 0) {
-      // Swipe right - previous image
-      previousImage();
-    } else {
-      // Swipe left - next image
-      nextImage();
+  // Photos that open a viewer must be reachable by keyboard
+  function makeFocusable(node) {
+    if (node.tabIndex >= 0 && node.hasAttribute("tabindex")) return;
+    if (/^(A|BUTTON)$/.test(node.tagName)) return;
+    node.tabIndex = 0;
+    node.setAttribute("role", "button");
+    if (!node.getAttribute("aria-label")) {
+      node.setAttribute("aria-label", `View larger: ${node.alt || "photo"}`);
     }
   }
-}
+
+  function makeTriggersFocusable(root) {
+    root.querySelectorAll(FOCUSABLE_TRIGGER).forEach(makeFocusable);
+  }
+
+  function initLightboxes() {
+    document
+      .querySelectorAll("[data-lightbox-source]")
+      .forEach((element) => fromMarkup(element));
+    document.addEventListener("click", onTriggerClick);
+    document.addEventListener("keydown", onTriggerKeydown);
+    makeTriggersFocusable(document);
+    ["gallery:rendered", "gallery:append"].forEach((type) => {
+      document.addEventListener(type, (e) => makeTriggersFocusable(e.target));
+    });
+
+    // Warm the arrow positions and image cache before the first open
+    instances.forEach((viewer) => {
+      viewer.loadImages().then(() => {
+        if (viewer.options.fixedArrows) viewer.positionArrows();
+      });
+    });
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initLightboxes);
+  } else {
+    initLightboxes();
+  }
+
+  window.Lightbox = Lightbox;
+})();
@@ -41,8 +41,15 @@ document.addEventListener("DOMContentLoaded", function () {
   });
 
   // If the page loads with a hash (e.g., coming from services.html#...)
+  // Lightbox deep links (#project/...) aren't element ids, so look up by id
   if (window.location.hash) {
-    const target = document.querySelector(window.location.hash);
+    let id = window.location.hash.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch (_) {
+      // Malformed escape (e.g. a stray "%"): look the hash up as written
+    }
+    const target = document.getElementById(id);
     if (target) {
       const serviceAnchor =
         target.classList && target.classList.contains("service-anchor");
@@ -100,142 +107,74 @@ document.addEventListener("DOMContentLoaded", function () {
 
 // Gallery Functions
 function initializeGallery() {
-  const filterButtons = document.querySelectorAll(".filter-btn");
-  const galleryItems = document.querySelectorAll(".gallery-item");
   const lightbox = document.getElementById("lightbox");
   const lightboxImg = document.getElementById("lightbox-img");
-  const lightboxClose = document.getElementById("lightbox-close");
-  const lightboxPrev = document.getElementById("lightbox-prev");
-  const lightboxNext = document.getElementById("lightbox-next");
 
   // Exit early if lightbox elements don't exist on this page
-  if (!lightbox || !lightboxImg) {
+  if (!lightbox || !lightboxImg || !window.Lightbox) {
     return;
   }
 
-  let currentImageIndex = 0;
-  let currentImages = [];
-
-  // Filter functionality
-  if (filterButtons.length > 0) {
-    filterButtons.forEach((button) => {
-      button.addEventListener("click", function () {
-        const filter = this.getAttribute("data-filter");
-
-        // Update active button
-        filterButtons.forEach((btn) => btn.classList.remove("active"));
-        this.classList.add("active");
-
-        // Filter gallery items
-        galleryItems.forEach((item) => {
-          const category = item.getAttribute("data-category");
-          if (filter === "all" || category === filter) {
-            item.style.display = "block";
-            setTimeout(() => {
-              item.style.opacity = "1";
-              item.style.transform = "scale(1)";
-            }, 100);
-          } else {
-            item.style.opacity = "0";
-            item.style.transform = "scale(0.8)";
-            setTimeout(() => {
-              item.style.display = "none";
-            }, 300);
-          }
-        });
-      });
-    });
-  }
-
-  // Lightbox functionality
-  if (galleryItems.length > 0 && lightbox) {
-    galleryItems.forEach((item, index) => {
-      item.addEventListener("click", function () {
-        const img = this.querySelector("img");
-        if (img) {
-          currentImages = Array.from(galleryItems)
-            .filter((item) => item.style.display !== "none")
-            .map((item) => ({
-              src: item.querySelector("img").src,
-              alt: item.querySelector("img").alt,
-            }));
-
-          currentImageIndex = currentImages.findIndex(
-            (image) => image.src === img.src
-          );
-          showLightbox(currentImages[currentImageIndex]);
-        }
-      });
-    });
-
-    // Lightbox controls
-    if (lightboxClose) {
-      lightboxClose.addEventListener("click", closeLightbox);
-    }
-
-    if (lightboxPrev) {
-      lightboxPrev.addEventListener("click", showPreviousImage);
-    }
+  // Lightbox over whichever items the filters (gallery.js) leave visible.
+  // Items are rendered later from the project manifest, so look them up
+  // on every open and handle clicks by delegation.
+  const visibleItems = () =>
+    Array.from(document.querySelectorAll(".gallery-item")).filter(
+      (item) =>
+        item.style.display !== "none" &&
+        !item.hasAttribute("aria-hidden") &&
+        item.querySelector("img")
+    );
 
-    if (lightboxNext) {
-      lightboxNext.addEventListener("click", showNextImage);
-    }
+  const viewer = new Lightbox({
+    element: lightbox,
+    captions: true,
+    images: () =>
+      visibleItems().map((item) => {
+        const img = item.querySelector("img");
+        const title = item.querySelector(".gallery-overlay h4");
+        const description = item.querySelector(".gallery-overlay p");
+        return {
+          id: item.dataset.projectId,
+          src: img.src,
+          alt: img.alt,
+          title: title ? title.textContent : "",
+          description: description ? description.textContent : "",
+        };
+      }),
+  });
 
-    // Close lightbox on background click
-    lightbox.addEventListener("click", function (e) {
-      if (e.target === lightbox) {
-        closeLightbox();
-      }
-    });
+  document.addEventListener("click", function (e) {
+    const item = e.target.closest(".gallery-item");
+    if (!item || !item.querySelector("img")) return;
+    viewer.open(visibleItems().indexOf(item), item);
+  });
 
-    // Keyboard navigation
-    document.addEventListener("keydown", function (e) {
-      if (lightbox.style.display === "flex") {
-        switch (e.key) {
-          case "Escape":
-            closeLightbox();
-            break;
-          case "ArrowLeft":
-            showPreviousImage();
-            break;
-          case "ArrowRight":
-            showNextImage();
-            break;
-        }
-      }
+  // Items open the viewer from the keyboard too
+  const makeFocusable = (root) => {
+    root.querySelectorAll(".gallery-item").forEach((item) => {
+      const title = item.querySelector(".gallery-overlay h4");
+      item.tabIndex = 0;
+      item.setAttribute("role", "button");
+      item.setAttribute(
+        "aria-label",
+        `View larger: ${title ? title.textContent : "photo"}`
+      );
     });
-  }
-
-  function showLightbox(image) {
-    if (lightboxImg && lightbox) {
-      lightboxImg.src = image.src;
-      lightboxImg.alt = image.alt;
-      lightbox.style.display = "flex";
-      document.body.style.overflow = "hidden";
-    }
-  }
-
-  function closeLightbox() {
-    if (lightbox) {
-      lightbox.style.display = "none";
-      document.body.style.overflow = "auto";
-    }
-  }
-
-  function showPreviousImage() {
-    if (currentImages.length > 0) {
-      currentImageIndex =
-        (currentImageIndex - 1 + currentImages.length) % currentImages.length;
-      showLightbox(currentImages[currentImageIndex]);
-    }
-  }
+  };
+  makeFocusable(document);
+  ["gallery:rendered", "gallery:append"].forEach((type) => {
+    document.addEventListener(type, (e) => makeFocusable(e.target));
+  });
 
-  function showNextImage() {
-    if (currentImages.length > 0) {
-      currentImageIndex = (currentImageIndex + 1) % currentImages.length;
-      showLightbox(currentImages[currentImageIndex]);
+  document.addEventListener("keydown", function (e) {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    if (!e.target.classList || !e.target.classList.contains("gallery-item")) {
+      return;
     }
-  }
+    e.preventDefault();
+    e.target.click();
+  });
 }
 
 // Form handling
@@ -246,50 +185,42 @@ function initializeForms() {
     form.addEventListener("submit", function (e) {
       e.preventDefault(); // Always prevent default submission
 
-      // Basic form validation
-      const requiredFields = form.querySelectorAll("[required]");
-      let isValid = true;
-
-      requiredFields.forEach((field) => {
-        if (!field.value.trim()) {
-          isValid = false;
-          field.classList.add("error");
-          showFieldError(field, "This field is required");
-        } else {
-          field.classList.remove("error");
-          hideFieldError(field);
-        }
-      });
+      // Rules come from form-validation.js; fall back to native checks
+      const validation = window.FormValidator
+        ? window.FormValidator.validate(form)
+        : Promise.resolve(form.checkValidity());
 
-      // Email validation
-      const emailFields = form.querySelectorAll('input[type="email"]');
-      emailFields.forEach((field) => {
-        if (field.value && !isValidEmail(field.value)) {
-          isValid = false;
-          field.classList.add("error");
-          showFieldError(field, "Please enter a valid email address");
+      // If validation passes, submit via AJAX
+      validation.then((isValid) => {
+        if (isValid) {
+          submitFormToWeb3Forms(form);
         }
       });
+    });
+  });
 
-      // Phone validation
-      const phoneFields = form.querySelectorAll('input[type="tel"]');
-      phoneFields.forEach((field) => {
-        if (field.value && !isValidPhone(field.value)) {
-          isValid = false;
-          field.classList.add("error");
-          showFieldError(field, "Please enter a valid phone number");
-        }
-      });
+  // Offline mode (connectivity.js): say up front what will happen on submit
+  if (forms.length > 0) {
+    const setOffline = (offline) =>
+      forms.forEach((form) => setFormOfflineMode(form, offline));
+    window.addEventListener("connectivity:change", (e) =>
+      setOffline(!e.detail.online)
+    );
+    if (window.Connectivity && !window.Connectivity.online) setOffline(true);
+  }
 
-      // If validation passes, submit via AJAX
-      if (isValid) {
-        submitFormToWeb3Forms(form);
-      }
+  // Queued submissions sent later by the service worker or the page
+  if (forms.length > 0) {
+    window.addEventListener("formqueue:sent", () => {
+      clearFormQueueStatus();
+      showSuccessMessage(
+        "You're back online - your saved request has been sent. We'll get back to you within 24 hours."
+      );
     });
-  });
+  }
 }
 
-// Submit form to Web3Forms via AJAX
+// Submit form through its configured transport (Web3Forms by default)
 function submitFormToWeb3Forms(form) {
   const submitButton = form.querySelector('button[type="submit"]');
   const originalButtonText = submitButton.innerHTML;
@@ -299,35 +230,41 @@ function submitFormToWeb3Forms(form) {
     '<i class="fas fa-spinner fa-spin" style="margin-right: 10px"></i>Sending...';
   submitButton.disabled = true;
 
-  // Prepare form data
+  // Prepare form data, with compressed photos from photo-attachments.js
   const formData = new FormData(form);
+  if (window.PhotoAttachments) {
+    window.PhotoAttachments.appendTo(form, formData);
+  }
 
-  // Submit to Web3Forms
-  fetch("https://api.web3forms.com/submit", {
-    method: "POST",
-    body: formData,
-  })
-    .then((response) => response.json())
-    .then((data) => {
-      if (data.success) {
+  // Replayable request, if this transport can be queued while offline
+  let queuedRequest = null;
+  if (window.FormQueue) {
+    try {
+      queuedRequest = window.FormTransport.describe(form, formData);
+    } catch (_) {}
+  }
+
+  const offline =
+    !navigator.onLine || (window.Connectivity && !window.Connectivity.online);
+  const send =
+    queuedRequest && offline
+      ? Promise.resolve({ success: false, error: new TypeError("Offline") })
+      : window.FormTransport.submit(form, formData);
+
+  // Adapters live in form-transport.js and all resolve to { success, message }
+  return send
+    .then((result) => {
+      if (result.success) {
         // Success - show message and reset form
-        showSuccessMessage(
-          "Thank you! Your message has been sent successfully. We'll get back to you within 24 hours."
-        );
+        showSuccessMessage(result.message);
         form.reset();
+      } else if (queuedRequest && result.error instanceof TypeError) {
+        // Network failure - keep the request and send it when back online
+        return queueFormSubmission(form, queuedRequest).then(() => result);
       } else {
-        // Error from Web3Forms
-        showErrorMessage(
-          "Sorry, there was an error sending your message. Please try again or call us directly."
-        );
+        showErrorMessage(result.message);
       }
-    })
-    .catch((error) => {
-      // Network or other error
-      console.error("Form submission error:", error);
-      showErrorMessage(
-        "Sorry, there was an error sending your message. Please try again or call us directly."
-      );
+      return result;
     })
     .finally(() => {
       // Restore button state
@@ -336,33 +273,122 @@ function submitFormToWeb3Forms(form) {
     });
 }
 
+// Offline notice and submit label; queueable forms save instead of failing
+function setFormOfflineMode(form, offline) {
+  const canQueue = !!(window.FormQueue && window.FormTransport);
+  const submitButton = form.querySelector('button[type="submit"]');
+  let notice = form.querySelector(".form-offline-notice");
+
+  form.classList.toggle("is-offline", offline);
+  if (!offline) {
+    if (notice) notice.remove();
+    if (submitButton && submitButton.dataset.onlineLabel) {
+      submitButton.innerHTML = submitButton.dataset.onlineLabel;
+      delete submitButton.dataset.onlineLabel;
+    }
+    return;
+  }
+
+  if (!notice) {
+    notice = document.createElement("p");
+    notice.className = "form-offline-notice";
+    form.prepend(notice);
+  }
+  notice.innerHTML = canQueue
+    ? '<i class="fas fa-plug" style="margin-right: 8px"></i><strong>Offline mode:</strong> you can still fill this in. We\'ll save your request on this device and send it as soon as you\'re back online.'
+    : '<i class="fas fa-plug" style="margin-right: 8px"></i><strong>Offline mode:</strong> this form can\'t be sent until you\'re back online. Call us on <a href="tel:0434433226">0434 433 226</a>.';
+
+  if (submitButton && canQueue && !submitButton.dataset.onlineLabel) {
+    submitButton.dataset.onlineLabel = submitButton.innerHTML;
+    submitButton.innerHTML =
+      '<i class="fas fa-save" style="margin-right: 10px"></i>Save &amp; send when online';
+  }
+}
+
+// Save a submission to the offline queue (form-queue.js)
+function queueFormSubmission(form, request) {
+  const label = [form.elements.first_name, form.elements.last_name]
+    .filter(Boolean)
+    .map((field) => field.value.trim())
+    .join(" ");
+
+  return window.FormQueue.enqueue(request, { label: label })
+    .then(({ duplicate }) => {
+      showFormQueueStatus(form);
+      showInfoMessage(
+        duplicate
+          ? "This request is already saved and will be sent as soon as you're back online."
+          : "You're offline, so we've saved your request. It will send automatically when you're back online."
+      );
+      form.reset();
+      window.FormQueue.requestReplay();
+    })
+    .catch((error) => {
+      console.error("Could not queue form submission:", error);
+      showErrorMessage(
+        "Sorry, we couldn't send or save your message. Please try again or call us directly."
+      );
+    });
+}
+
+// Inline "saved" state under the submit button until the queue is flushed
+function showFormQueueStatus(form) {
+  let status = form.querySelector(".form-queue-status");
+  if (!status) {
+    status = document.createElement("p");
+    status.className = "form-queue-status";
+    status.setAttribute("role", "status");
+    form.appendChild(status);
+  }
+  status.innerHTML =
+    '<i class="fas fa-cloud-upload-alt" style="margin-right: 8px"></i>Saved on this device. We\'ll send it when you\'re back online.';
+}
+
+function clearFormQueueStatus() {
+  document
+    .querySelectorAll(".form-queue-status")
+    .forEach((status) => status.remove());
+}
+
+let fieldErrorCount = 0;
+
+// Error message under a field, wired up with aria-invalid/aria-describedby
 function showFieldError(field, message) {
   let errorElement = field.parentNode.querySelector(".field-error");
   if (!errorElement) {
     errorElement = document.createElement("span");
     errorElement.className = "field-error";
+    errorElement.id = `field-error-${++fieldErrorCount}`;
     field.parentNode.appendChild(errorElement);
   }
   errorElement.textContent = message;
+
+  field.setAttribute("aria-invalid", "true");
+  const describedBy = (field.getAttribute("aria-describedby") || "")
+    .split(" ")
+    .filter(Boolean);
+  if (!describedBy.includes(errorElement.id)) {
+    describedBy.push(errorElement.id);
+    field.setAttribute("aria-describedby", describedBy.join(" "));
+  }
 }
 
 function hideFieldError(field) {
   const errorElement = field.parentNode.querySelector(".field-error");
+  field.removeAttribute("aria-invalid");
   if (errorElement) {
+    const describedBy = (field.getAttribute("aria-describedby") || "")
+      .split(" ")
+      .filter((id) => id && id !== errorElement.id);
+    if (describedBy.length) {
+      field.setAttribute("aria-describedby", describedBy.join(" "));
+    } else {
+      field.removeAttribute("aria-describedby");
+    }
     errorElement.remove();
   }
 }
 
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-}
-
-function isValidPhone(phone) {
-  const phoneRegex = /^[\+]?[0-9\s\-\(\)]{10,}$/;
-  return phoneRegex.test(phone);
-}
-
 function showSuccessMessage(message) {
   // Create and show success notification
   const notification = document.createElement("div");
@@ -397,6 +423,41 @@ function showSuccessMessage(message) {
   }, 5000);
 }
 
+function showInfoMessage(message) {
+  // Create and show neutral notification
+  const notification = document.createElement("div");
+  notification.className = "info-notification";
+  notification.setAttribute("role", "status");
+  notification.textContent = message;
+  notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: #3a3a3a;
+        color: white;
+        padding: 1rem 2rem;
+        border-radius: 10px;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+        z-index: 1000;
+        font-weight: 500;
+        animation: slideIn 0.3s ease-out;
+        max-width: 400px;
+        font-size: 0.95rem;
+        line-height: 1.4;
+    `;
+
+  document.body.appendChild(notification);
+
+  setTimeout(() => {
+    notification.style.animation = "slideOut 0.3s ease-in";
+    setTimeout(() => {
+      if (document.body.contains(notification)) {
+        document.body.removeChild(notification);
+      }
+    }, 300);
+  }, 7000);
+}
+
 function showErrorMessage(message) {
   // Create and show error notification
   const notification = document.createElement("div");
@@ -453,6 +514,16 @@ function initializeAnimations() {
   animateElements.forEach((el) => {
     observer.observe(el);
   });
+
+  // Gallery items rendered from the project manifest arrive after load,
+  // and paged grids keep adding more
+  ["gallery:rendered", "gallery:append"].forEach((type) => {
+    document.addEventListener(type, (e) => {
+      e.target.querySelectorAll(".gallery-item").forEach((el) => {
+        observer.observe(el);
+      });
+    });
+  });
 }
 
 // Utility functions
@@ -488,6 +559,15 @@ style.textContent = `
         display: block;
     }
 
+    .form-queue-status {
+        margin: 0;
+        padding: 0.75rem 1rem;
+        border-radius: 8px;
+        background: rgba(242, 210, 147, 0.2);
+        color: var(--text-secondary);
+        font-size: 0.95rem;
+    }
+
     .error {
         border-color: #e74c3c !important;
         box-shadow: 0 0 0 2px rgba(231, 76, 60, 0.2) !important;
@@ -0,0 +1,133 @@
+/**
+ * Offline page (offline.html): make the most of what's on the device
+ * - Lists the site's pages that the service worker has saved, so a visitor
+ *   can still browse them
+ * - Shows project photos that are already cached (the original or a size
+ *   variant), with their manifest titles (gallery-data.js), as a small gallery
+ * - "Try again" reloads, and so does getting the connection back
+ *   (connectivity.js), which brings up the page the visitor asked for
+ */
+(function () {
+  "use strict";
+
+  const MAX_PHOTOS = 12;
+  const VARIANTS_URL = "/data/image-variants.json";
+
+  // In menu order; "/" and "/index.html" are the same page
+  const PAGES = [
+    { urls: ["/", "/index.html"], href: "/index.html", label: "Home" },
+    { urls: ["/about.html"], href: "/about.html", label: "About" },
+    { urls: ["/services.html"], href: "/services.html", label: "Services" },
+    { urls: ["/gallery.html"], href: "/gallery.html", label: "Gallery" },
+    { urls: ["/contact.html"], href: "/contact.html", label: "Contact" },
+  ];
+
+  function isCached(url) {
+    if (!("caches" in window)) return Promise.resolve(false);
+    return caches
+      .match(new URL(url, location.href).href)
+      .then(Boolean)
+      .catch(() => false);
+  }
+
+  function anyCached(urls) {
+    return Promise.all(urls.map(isCached)).then((hits) => hits.some(Boolean));
+  }
+
+  function renderPages() {
+    const section = document.querySelector("[data-offline-pages]");
+    if (!section) return Promise.resolve();
+
+    return Promise.all(PAGES.map((page) => anyCached(page.urls))).then(
+      (hits) => {
+        const list = section.querySelector(".offline-links");
+        PAGES.filter((_, i) => hits[i]).forEach((page) => {
+          const item = document.createElement("li");
+          const link = document.createElement("a");
+          link.href = page.href;
+          link.textContent = page.label;
+          item.appendChild(link);
+          list.appendChild(item);
+        });
+        section.hidden = list.children.length === 0;
+      }
+    );
+  }
+
+  // Size variants per original (tools/build-image-variants.js)
+  function loadVariants() {
+    return fetch(VARIANTS_URL)
+      .then((res) => (res.ok ? res.json() : { images: {} }))
+      .catch(() => ({ images: {} }));
+  }
+
+  // Cards load a size variant through sw.js, the lightbox the original:
+  // the first of either that's saved, largest first, or null
+  function cachedCopy(src, variants) {
+    // Manifest paths are relative to the site root, not this page's URL
+    const url = new URL(src, location.origin + "/");
+    const image = variants.images[decodeURIComponent(url.pathname)];
+    const candidates = [url.href].concat(
+      image
+        ? Object.keys(image.variants)
+            .sort((a, b) => b - a)
+            .map((w) => image.variants[w])
+        : []
+    );
+    return Promise.all(candidates.map(isCached)).then((hits) => {
+      const index = hits.indexOf(true);
+      return index === -1 ? null : candidates[index];
+    });
+  }
+
+  function renderGallery() {
+    const section = document.querySelector("[data-offline-gallery]");
+    if (!section || !window.GalleryData) return Promise.resolve();
+
+    return Promise.all([window.GalleryData.load(), loadVariants()])
+      .then(([manifest, variants]) =>
+        Promise.all(
+          manifest.projects.map((p) => cachedCopy(p.src, variants))
+        ).then((copies) =>
+          manifest.projects
+            .map((project, i) => ({ project, src: copies[i] }))
+            .filter((photo) => photo.src)
+        )
+      )
+      .then((photos) => {
+        const grid = section.querySelector(".offline-gallery-grid");
+        photos.slice(0, MAX_PHOTOS).forEach(({ project, src }) => {
+          const figure = document.createElement("figure");
+          figure.className = "offline-photo";
+          const img = document.createElement("img");
+          img.src = src;
+          img.alt = project.alt;
+          img.loading = "lazy";
+          img.decoding = "async";
+          const caption = document.createElement("figcaption");
+          caption.textContent = project.title;
+          figure.append(img, caption);
+          grid.appendChild(figure);
+        });
+        section.hidden = grid.children.length === 0;
+      })
+      .catch(() => {});
+  }
+
+  function init() {
+    const retry = document.querySelector("[data-offline-retry]");
+    if (retry) retry.addEventListener("click", () => location.reload());
+    window.addEventListener("connectivity:change", (e) => {
+      if (e.detail.online) location.reload();
+    });
+
+    renderPages();
+    renderGallery();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
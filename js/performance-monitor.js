@@ -1,19 +1,64 @@
 /**
  * Advanced Performance Monitoring System
  * - Real User Metrics (RUM) collection
- * - Core Web Vitals tracking
+ * - Core Web Vitals tracking (shared observers in web-vitals.js)
  * - Performance regression detection
  * - Speed index monitoring
+ * - Field data: reports are batched and sent with navigator.sendBeacon when
+ *   the page is hidden (visibilitychange/pagehide), which unlike
+ *   beforeunload also fires when a phone switches apps
  * Zero visual impact, comprehensive performance insights
+ *
+ * Beacons are configured on the script tag; without an endpoint nothing is
+ * sent:
+ *   <script src="js/performance-monitor.js"
+ *           data-rum-endpoint="https://example.com/rum"
+ *           data-rum-sample-rate="0.25"
+ *           data-rum-resource-sample-rate="0.1"></script>
+ * The sample rate is the share of visits (sessions) that report; the resource
+ * rate is the share of those that also send their slowest resources.
+ *
+ * On localhost, `?rum=local` sends every visit to tools/rum-sink.js, which
+ * writes the beacons to a JSON file.
+ *
+ * Nothing is logged to the console unless asked for: with `?rum=local`,
+ * `?rum=debug` or a data-rum-debug attribute, each metric is logged as it
+ * changes and a summary after load.
+ *
+ * Payload (text/plain JSON, so cross-origin beacons need no preflight):
+ *   { schema: 2, sentAt, reports: [{ id, session, seq, page, timestamp,
+ *     navigationType, connection, device, vitals: { lcp, inp, cls, fcp,
+ *     ttfb }, attribution: { lcp: selector, cls: [selectors], inp: { target,
+ *     type, time, inputDelay, processingDuration, presentationDelay,
+ *     loadState } }, metrics: { speedIndex, visualComplete, tti },
+ *     resources? }] }
+ * Times are whole milliseconds and CLS is unitless. Schema 1 had fid in place
+ * of inp and no attribution. A page view can send
+ * several reports as it's hidden and shown again; the one with the highest
+ * seq for an id is the most complete. Bump RUM_SCHEMA_VERSION on any
+ * incompatible change.
  */
 (function() {
   'use strict';
 
+  const RUM_SCHEMA_VERSION = 2;
+  const LOCAL_SINK = 'http://localhost:8787/rum';
+  const MAX_BEACON_BYTES = 60000; // browsers cap queued beacons at 64KB
+  const SESSION_KEY = 'rum-session';
+  const QUEUE_KEY = 'rum-queue';
+  const MAX_QUEUED_REPORTS = 20; // beyond this the oldest unsent are dropped
+
+  const script = document.currentScript;
+
   const PerformanceMonitor = {
     init() {
       this.metrics = {};
       this.vitals = {};
       this.startTime = performance.now();
+      this.rum = this.getRumConfig();
+      this.pageViewId = this.randomId();
+      this.reportSeq = 0;
+      this.beaconQueue = this.loadQueue();
       
       if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => this.start());
@@ -31,172 +76,25 @@
       this.scheduleReporting();
     },
 
-    // Measure Core Web Vitals
+    // Core Web Vitals (LCP, INP, CLS, FCP, TTFB) with attribution come from
+    // web-vitals.js, which other scripts share instead of observing again
     measureCoreWebVitals() {
-      // Largest Contentful Paint (LCP)
-      this.measureLCP();
-      
-      // First Input Delay (FID)
-      this.measureFID();
-      
-      // Cumulative Layout Shift (CLS)
-      this.measureCLS();
-      
-      // First Contentful Paint (FCP)
-      this.measureFCP();
-      
-      // Time to First Byte (TTFB)
-      this.measureTTFB();
-    },
-
-    // Measure Largest Contentful Paint
-    measureLCP() {
-      if (!('PerformanceObserver' in window)) return;
-
-      try {
-        const observer = new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          const lastEntry = entries[entries.length - 1];
-          
-          this.vitals.lcp = {
-            value: lastEntry.startTime,
-            element: lastEntry.element?.tagName || 'unknown',
-            url: lastEntry.url || 'unknown',
-            timestamp: Date.now()
-          };
-          
-          this.evaluateMetric('LCP', lastEntry.startTime, {
-            good: 2500,
-            needsImprovement: 4000
-          });
-        });
-
-        observer.observe({ type: 'largest-contentful-paint', buffered: true });
-      } catch (e) {
-        console.warn('LCP measurement not supported');
-      }
-    },
-
-    // Measure First Input Delay
-    measureFID() {
-      if (!('PerformanceObserver' in window)) return;
-
-      try {
-        const observer = new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          entries.forEach(entry => {
-            this.vitals.fid = {
-              value: entry.processingStart - entry.startTime,
-              timestamp: Date.now()
-            };
-            
-            this.evaluateMetric('FID', entry.processingStart - entry.startTime, {
-              good: 100,
-              needsImprovement: 300
-            });
-          });
-        });
-
-        observer.observe({ type: 'first-input', buffered: true });
-      } catch (e) {
-        console.warn('FID measurement not supported');
-      }
-    },
-
-    // Measure Cumulative Layout Shift
-    measureCLS() {
-      if (!('PerformanceObserver' in window)) return;
-
-      let clsValue = 0;
-      let sessionValue = 0;
-      let sessionEntries = [];
-
-      try {
-        const observer = new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          
-          entries.forEach(entry => {
-            if (!entry.hadRecentInput) {
-              const firstSessionEntry = sessionEntries[0];
-              const lastSessionEntry = sessionEntries[sessionEntries.length - 1];
-              
-              if (sessionValue && 
-                  entry.startTime - lastSessionEntry.startTime < 1000 &&
-                  entry.startTime - firstSessionEntry.startTime < 5000) {
-                sessionValue += entry.value;
-                sessionEntries.push(entry);
-              } else {
-                sessionValue = entry.value;
-                sessionEntries = [entry];
-              }
-              
-              if (sessionValue > clsValue) {
-                clsValue = sessionValue;
-                
-                this.vitals.cls = {
-                  value: clsValue,
-                  timestamp: Date.now()
-                };
-                
-                this.evaluateMetric('CLS', clsValue, {
-                  good: 0.1,
-                  needsImprovement: 0.25
-                });
-              }
-            }
-          });
-        });
-
-        observer.observe({ type: 'layout-shift', buffered: true });
-      } catch (e) {
-        console.warn('CLS measurement not supported');
-      }
-    },
-
-    // Measure First Contentful Paint
-    measureFCP() {
-      if (!('PerformanceObserver' in window)) return;
-
-      try {
-        const observer = new PerformanceObserver((list) => {
-          const entries = list.getEntries();
-          entries.forEach(entry => {
-            if (entry.name === 'first-contentful-paint') {
-              this.vitals.fcp = {
-                value: entry.startTime,
-                timestamp: Date.now()
-              };
-              
-              this.evaluateMetric('FCP', entry.startTime, {
-                good: 1800,
-                needsImprovement: 3000
-              });
-            }
-          });
-        });
-
-        observer.observe({ type: 'paint', buffered: true });
-      } catch (e) {
-        console.warn('FCP measurement not supported');
-      }
-    },
-
-    // Measure Time to First Byte
-    measureTTFB() {
-      const navigation = performance.getEntriesByType('navigation')[0];
-      if (navigation) {
-        const ttfb = navigation.responseStart - navigation.requestStart;
-        
-        this.vitals.ttfb = {
-          value: ttfb,
-          timestamp: Date.now()
+      if (!window.WebVitals) return;
+
+      window.WebVitals.onMetric((metric) => {
+        this.vitals[metric.name] = {
+          value: metric.value,
+          rating: metric.rating,
+          attribution: metric.attribution,
+          timestamp: metric.timestamp
         };
-        
-        this.evaluateMetric('TTFB', ttfb, {
-          good: 800,
-          needsImprovement: 1800
+
+        const [good, needsImprovement] = window.WebVitals.THRESHOLDS[metric.name];
+        this.evaluateMetric(metric.name.toUpperCase(), metric.value, {
+          good,
+          needsImprovement
         });
-      }
+      });
     },
 
     // Measure custom performance metrics
@@ -243,7 +141,7 @@
           });
         }, 1000);
       } catch (e) {
-        console.warn('Speed Index measurement not supported');
+        this.log('warn', 'Speed Index measurement not supported');
       }
     },
 
@@ -320,7 +218,7 @@
             };
           }, 10000);
         } catch (e) {
-          console.warn('TTI measurement not supported');
+          this.log('warn', 'TTI measurement not supported');
         }
       }
     },
@@ -365,14 +263,14 @@
           entries.forEach(entry => {
             // Log slow resources
             if (entry.duration > 1000) {
-              console.warn(`Slow resource: ${entry.name} (${Math.round(entry.duration)}ms)`);
+              this.log('warn', `Slow resource: ${entry.name} (${Math.round(entry.duration)}ms)`);
             }
           });
         });
 
         observer.observe({ type: 'resource', buffered: true });
       } catch (e) {
-        console.warn('Performance Observer not fully supported');
+        this.log('warn', 'Performance Observer not fully supported');
       }
     },
 
@@ -403,13 +301,20 @@
         rating = 'needs-improvement';
       }
 
-      console.log(`${name}: ${Math.round(value)}ms (${rating})`);
+      // CLS is a unitless score; everything else is a time
+      const format = (v) => name === 'CLS' ? String(Number(v.toFixed(3))) : `${Math.round(v)}ms`;
+      this.log('log', `${name}: ${format(value)} (${rating})`);
       
       if (rating === 'poor') {
-        console.warn(`${name} is performing poorly. Target: <${thresholds.good}ms`);
+        this.log('warn', `${name} is performing poorly. Target: <${format(thresholds.good)}`);
       }
     },
 
+    // Console output only when debugging (see the top of this file)
+    log(level, ...args) {
+      if (this.rum && this.rum.debug) console[level](...args);
+    },
+
     // Schedule performance reporting
     scheduleReporting() {
       // Report after page load
@@ -419,14 +324,30 @@
         }, 2000);
       });
 
-      // Report before page unload
-      window.addEventListener('beforeunload', () => {
-        this.generateReport();
+      // Send field data whenever the page may be going away: hidden tabs
+      // and backgrounded apps are often discarded without an unload event
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.sendBeacon();
       });
+      window.addEventListener('pagehide', () => this.sendBeacon());
     },
 
-    // Generate performance report
+    // Build the current report, and log it when debugging
     generateReport() {
+      const report = this.buildReport();
+
+      if (this.rum.debug) {
+        console.group('Performance Report');
+        console.log('Core Web Vitals:', this.vitals);
+        console.log('Custom Metrics:', this.metrics);
+        console.log('Performance Summary:', report.summary);
+        console.groupEnd();
+      }
+
+      return report;
+    },
+
+    buildReport() {
       const report = {
         timestamp: Date.now(),
         url: window.location.href,
@@ -437,18 +358,191 @@
         summary: this.generateSummary()
       };
 
-      console.group('Performance Report');
-      console.log('Core Web Vitals:', this.vitals);
-      console.log('Custom Metrics:', this.metrics);
-      console.log('Performance Summary:', report.summary);
-      console.groupEnd();
-
       // Store report for potential analytics
       window.performanceReport = report;
-      
+
       return report;
     },
 
+    // ------------------------------
+    // Real User Monitoring beacons
+    // ------------------------------
+    getRumConfig() {
+      const data = (script && script.dataset) || {};
+      const config = {
+        endpoint: data.rumEndpoint || '',
+        sampleRate: this.parseRate(data.rumSampleRate, 1),
+        resourceSampleRate: this.parseRate(data.rumResourceSampleRate, 0)
+      };
+
+      const host = location.hostname;
+      const isLocal = host === 'localhost' || host === '127.0.0.1';
+      const mode = new URLSearchParams(location.search).get('rum');
+      if (isLocal && mode === 'local') {
+        config.endpoint = LOCAL_SINK;
+        config.sampleRate = 1;
+        config.resourceSampleRate = 1;
+      }
+      config.debug = 'rumDebug' in data || mode === 'local' || mode === 'debug';
+
+      const session = this.getSession(config);
+      config.session = session.id;
+      config.sampled = !!config.endpoint && session.sampled;
+      config.withResources = config.sampled && session.resources;
+      return config;
+    },
+
+    parseRate(value, fallback) {
+      const rate = parseFloat(value);
+      return isNaN(rate) ? fallback : Math.min(1, Math.max(0, rate));
+    },
+
+    // Sample per visit, not per page, so a session's pages report together
+    getSession(config) {
+      try {
+        const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        if (saved && saved.id && saved.endpoint === config.endpoint) return saved;
+      } catch (_) {}
+
+      const session = {
+        id: this.randomId(),
+        endpoint: config.endpoint,
+        sampled: Math.random() < config.sampleRate,
+        resources: Math.random() < config.resourceSampleRate
+      };
+      try {
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+      } catch (_) {}
+      return session;
+    },
+
+    randomId() {
+      if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+      return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    },
+
+    // One versioned, compact report for this page view
+    buildRumReport() {
+      const round = (metric) => (metric ? Math.round(metric.value) : null);
+      const navigation = performance.getEntriesByType('navigation')[0];
+      const report = {
+        id: this.pageViewId,
+        session: this.rum.session,
+        seq: ++this.reportSeq,
+        page: location.pathname,
+        timestamp: Date.now(),
+        navigationType: navigation ? navigation.type : 'unknown',
+        connection: this.getConnectionInfo(),
+        device: {
+          memory: navigator.deviceMemory || null,
+          cpus: navigator.hardwareConcurrency || null,
+          viewport: [window.innerWidth, window.innerHeight]
+        },
+        vitals: {
+          lcp: round(this.vitals.lcp),
+          inp: round(this.vitals.inp),
+          cls: this.vitals.cls ? Number(this.vitals.cls.value.toFixed(4)) : null,
+          fcp: round(this.vitals.fcp),
+          ttfb: round(this.vitals.ttfb)
+        },
+        attribution: {
+          lcp: this.vitals.lcp ? this.vitals.lcp.attribution.element : null,
+          cls: this.vitals.cls ? this.vitals.cls.attribution.targets : [],
+          inp: this.vitals.inp ? this.roundTimes(this.vitals.inp.attribution) : null
+        },
+        metrics: {
+          speedIndex: round(this.metrics.speedIndex),
+          visualComplete: round(this.metrics.visualComplete),
+          tti: round(this.metrics.tti)
+        }
+      };
+
+      if (this.rum.withResources && this.metrics.slowResources) {
+        report.resources = this.metrics.slowResources.slice(0, 10).map(r => ({
+          name: r.name.replace(location.origin, ''),
+          duration: Math.round(r.duration),
+          size: r.size || 0
+        }));
+      }
+      return report;
+    },
+
+    // Timing phases to whole milliseconds, everything else as is
+    roundTimes(attribution) {
+      const out = {};
+      Object.keys(attribution).forEach((key) => {
+        const value = attribution[key];
+        out[key] = typeof value === 'number' ? Math.round(value) : value;
+      });
+      return out;
+    },
+
+    // Reports the browser refused to send, kept for the rest of the visit
+    loadQueue() {
+      try {
+        const saved = JSON.parse(sessionStorage.getItem(QUEUE_KEY));
+        return Array.isArray(saved) ? saved : [];
+      } catch (_) {
+        return [];
+      }
+    },
+
+    saveQueue() {
+      try {
+        if (this.beaconQueue.length) {
+          sessionStorage.setItem(QUEUE_KEY, JSON.stringify(this.beaconQueue));
+        } else {
+          sessionStorage.removeItem(QUEUE_KEY);
+        }
+      } catch (_) {}
+    },
+
+    // Send this page view's report together with any still queued from
+    // earlier refused beacons (on this page or earlier pages of the visit).
+    // A newer report for a page view replaces its queued one. When they don't
+    // all fit in one beacon the newest go first and the rest stay queued.
+    sendBeacon() {
+      this.buildReport();
+      if (!this.rum.sampled) return false;
+
+      const report = this.buildRumReport();
+      this.beaconQueue = this.beaconQueue
+        .filter((queued) => queued.id !== report.id)
+        .concat(report)
+        .slice(-MAX_QUEUED_REPORTS);
+
+      const batch = { schema: RUM_SCHEMA_VERSION, sentAt: Date.now(), reports: [] };
+      let body = '';
+      for (let i = this.beaconQueue.length - 1; i >= 0; i--) {
+        const reports = [this.beaconQueue[i]].concat(batch.reports);
+        const candidate = JSON.stringify(Object.assign({}, batch, { reports }));
+        if (batch.reports.length && candidate.length > MAX_BEACON_BYTES) break;
+        batch.reports = reports;
+        body = candidate;
+      }
+
+      const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+      const dequeue = () => {
+        this.beaconQueue = this.beaconQueue.filter((queued) => !batch.reports.includes(queued));
+        this.saveQueue();
+      };
+      let sent = false;
+      if (navigator.sendBeacon) {
+        try {
+          sent = navigator.sendBeacon(this.rum.endpoint, blob);
+        } catch (_) {}
+      } else if (window.fetch) {
+        // The reports stay queued until the request goes through; a no-cors
+        // response is opaque, so getting one at all is all there is to check
+        fetch(this.rum.endpoint, { method: 'POST', body: blob, keepalive: true, mode: 'no-cors' })
+          .then(dequeue, () => {});
+      }
+
+      if (sent) dequeue();
+      else this.saveQueue();
+      return sent;
+    },
+
     // Get connection information
     getConnectionInfo() {
       const conn = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
@@ -477,10 +571,10 @@
         score -= 15;
       }
 
-      if (this.vitals.fid?.value > 300) {
+      if (this.vitals.inp?.value > 500) {
         score -= 25;
-        summary.recommendations.push('Reduce First Input Delay (FID)');
-      } else if (this.vitals.fid?.value > 100) {
+        summary.recommendations.push('Improve Interaction to Next Paint (INP)');
+      } else if (this.vitals.inp?.value > 200) {
         score -= 10;
       }
 
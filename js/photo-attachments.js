@@ -0,0 +1,292 @@
+/**
+ * Photo Attachments for quote forms
+ * - Enhances <input type="file" data-photo-upload> with thumbnail previews
+ * - Every photo is downscaled and re-encoded as JPEG on a canvas, which also
+ *   drops EXIF metadata (GPS location, camera serials) from the upload
+ * - Per-file and total size limits, reported with showFieldError (main.js)
+ * - submitFormToWeb3Forms adds the processed files to its FormData via
+ *   PhotoAttachments.appendTo; the raw input has no name and is never sent
+ *
+ * Options (data attributes on the input):
+ *   data-name          field name for the uploaded files (default "attachment")
+ *   data-max-files     photos per form (default 6)
+ *   data-max-file-mb   size per processed photo (default 2)
+ *   data-max-total-mb  size of all photos together (default 8)
+ *   data-max-edge      longest side in pixels after resizing (default 1600)
+ */
+(function () {
+  "use strict";
+
+  const MB = 1024 * 1024;
+  const MAX_SOURCE_BYTES = 25 * MB; // refuse before decoding anything bigger
+  const JPEG_QUALITY = 0.82;
+  const RETRY_QUALITY = 0.65;
+
+  // form -> { input, options, items: [{ id, file, url }], pending }
+  const states = new WeakMap();
+  let nextId = 1;
+
+  function optionsFor(input) {
+    const d = input.dataset;
+    return {
+      name: d.name || "attachment",
+      maxFiles: parseInt(d.maxFiles, 10) || 6,
+      maxFileBytes: (parseFloat(d.maxFileMb) || 2) * MB,
+      maxTotalBytes: (parseFloat(d.maxTotalMb) || 8) * MB,
+      maxEdge: parseInt(d.maxEdge, 10) || 1600,
+    };
+  }
+
+  function formatSize(bytes) {
+    return bytes >= MB
+      ? (bytes / MB).toFixed(1) + " MB"
+      : Math.round(bytes / 1024) + " KB";
+  }
+
+  // Decode with EXIF orientation applied, so portrait phone shots stay upright
+  function decode(file) {
+    if ("createImageBitmap" in window) {
+      return createImageBitmap(file, { imageOrientation: "from-image" }).catch(
+        () => decodeWithImage(file)
+      );
+    }
+    return decodeWithImage(file);
+  }
+
+  function decodeWithImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("Could not read image"));
+      };
+      img.src = url;
+    });
+  }
+
+  function toBlob(canvas, quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("Encode failed"))),
+        "image/jpeg",
+        quality
+      );
+    });
+  }
+
+  // Resize to fit maxEdge and re-encode; only pixels survive, never metadata
+  async function compress(file, options) {
+    const source = await decode(file);
+    const width = source.width || source.naturalWidth;
+    const height = source.height || source.naturalHeight;
+    const scale = Math.min(1, options.maxEdge / Math.max(width, height));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext("2d");
+    // JPEG has no alpha: paint transparent PNGs onto white, not black
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    if (source.close) source.close();
+
+    let blob = await toBlob(canvas, JPEG_QUALITY);
+    if (blob.size > options.maxFileBytes) {
+      blob = await toBlob(canvas, RETRY_QUALITY);
+    }
+
+    const name = file.name.replace(/\.[^.]+$/, "") + ".jpg";
+    return new File([blob], name, {
+      type: "image/jpeg",
+      lastModified: Date.now(),
+    });
+  }
+
+  function totalBytes(state) {
+    return state.items.reduce((sum, item) => sum + item.file.size, 0);
+  }
+
+  function setPending(state, pending) {
+    state.pending += pending ? 1 : -1;
+    const form = state.input.form;
+    const submit = form && form.querySelector('button[type="submit"]');
+    if (submit) submit.disabled = state.pending > 0;
+    state.input.setAttribute("aria-busy", state.pending > 0 ? "true" : "false");
+  }
+
+  function renderPreviews(state) {
+    const list = state.previews;
+    if (!list) return;
+    list.innerHTML = "";
+    state.items.forEach((item) => {
+      const li = document.createElement("li");
+      li.className = "photo-preview";
+
+      const img = document.createElement("img");
+      img.src = item.url;
+      img.alt = item.file.name;
+      li.appendChild(img);
+
+      const size = document.createElement("span");
+      size.className = "photo-preview-size";
+      size.textContent = formatSize(item.file.size);
+      li.appendChild(size);
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "photo-preview-remove";
+      remove.setAttribute("aria-label", `Remove ${item.file.name}`);
+      remove.innerHTML = '<i class="fas fa-times"></i>';
+      remove.addEventListener("click", () => removeItem(state, item.id));
+      li.appendChild(remove);
+
+      list.appendChild(li);
+    });
+    state.summary.textContent = state.items.length
+      ? `${state.items.length} photo${state.items.length === 1 ? "" : "s"}, ${formatSize(totalBytes(state))} total`
+      : "";
+  }
+
+  function removeItem(state, id) {
+    const item = state.items.find((i) => i.id === id);
+    if (item) URL.revokeObjectURL(item.url);
+    state.items = state.items.filter((i) => i.id !== id);
+    hideFieldError(state.input);
+    state.input.classList.remove("error");
+    renderPreviews(state);
+  }
+
+  function clear(state) {
+    state.items.forEach((item) => URL.revokeObjectURL(item.url));
+    state.items = [];
+    renderPreviews(state);
+  }
+
+  async function handleFiles(state, files) {
+    const { options, input } = state;
+    const errors = [];
+
+    hideFieldError(input);
+    input.classList.remove("error");
+    setPending(state, true);
+
+    try {
+      for (const file of files) {
+        if (state.items.length >= options.maxFiles) {
+          errors.push(`You can attach up to ${options.maxFiles} photos.`);
+          break;
+        }
+        if (!/^image\//.test(file.type)) {
+          errors.push(`${file.name} isn't an image.`);
+          continue;
+        }
+        if (file.size > MAX_SOURCE_BYTES) {
+          errors.push(
+            `${file.name} is too large (${formatSize(file.size)}). Please choose a photo under ${formatSize(MAX_SOURCE_BYTES)}.`
+          );
+          continue;
+        }
+
+        let processed;
+        try {
+          processed = await compress(file, options);
+        } catch (_) {
+          errors.push(`${file.name} couldn't be read. Try a JPEG or PNG photo.`);
+          continue;
+        }
+
+        if (processed.size > options.maxFileBytes) {
+          errors.push(
+            `${file.name} is still ${formatSize(processed.size)} after compression (limit ${formatSize(options.maxFileBytes)} per photo).`
+          );
+          continue;
+        }
+        if (totalBytes(state) + processed.size > options.maxTotalBytes) {
+          errors.push(
+            `Photos are limited to ${formatSize(options.maxTotalBytes)} in total. Remove one to add ${file.name}.`
+          );
+          continue;
+        }
+
+        state.items.push({
+          id: nextId++,
+          file: processed,
+          url: URL.createObjectURL(processed),
+        });
+        renderPreviews(state);
+      }
+    } finally {
+      setPending(state, false);
+      // Allow picking the same file again after removing it
+      input.value = "";
+    }
+
+    if (errors.length) {
+      input.classList.add("error");
+      showFieldError(input, errors.join(" "));
+    }
+  }
+
+  function enhance(input) {
+    const form = input.form;
+    if (!form || states.has(form)) return;
+
+    const previews = document.createElement("ul");
+    previews.className = "photo-previews";
+    const summary = document.createElement("p");
+    summary.className = "photo-summary";
+    summary.setAttribute("aria-live", "polite");
+    input.insertAdjacentElement("afterend", previews);
+    previews.insertAdjacentElement("afterend", summary);
+
+    const state = {
+      input,
+      options: optionsFor(input),
+      items: [],
+      pending: 0,
+      previews,
+      summary,
+    };
+    states.set(form, state);
+
+    input.addEventListener("change", () => {
+      handleFiles(state, Array.from(input.files || []));
+    });
+    form.addEventListener("reset", () => clear(state));
+  }
+
+  const PhotoAttachments = {
+    // Add this form's processed photos to an outgoing FormData
+    appendTo(form, formData) {
+      const state = states.get(form);
+      if (!state) return formData;
+      state.items.forEach((item) => {
+        formData.append(state.options.name, item.file, item.file.name);
+      });
+      return formData;
+    },
+
+    files(form) {
+      const state = states.get(form);
+      return state ? state.items.map((item) => item.file) : [];
+    },
+  };
+
+  function initPhotoAttachments() {
+    document.querySelectorAll("input[type=file][data-photo-upload]").forEach(enhance);
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initPhotoAttachments);
+  } else {
+    initPhotoAttachments();
+  }
+
+  window.PhotoAttachments = PhotoAttachments;
+})();
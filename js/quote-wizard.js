@@ -0,0 +1,226 @@
+/**
+ * Multi-step Quote Wizard
+ * - Turns a form marked [data-wizard] into steps (fieldset.wizard-step)
+ * - Validates each step with FormValidator (form-validation.js) before moving on
+ * - Progress indicator (.wizard-progress) tracks the current step
+ * - Answers and the current step live in sessionStorage so a refresh keeps them
+ * - Final step submits through the normal form submit path in main.js
+ * Without JavaScript every step stays visible and the form works as one page.
+ */
+(function () {
+  "use strict";
+
+  const STORAGE_PREFIX = "quote-wizard:";
+
+  // Inputs that carry provider config or files rather than answers
+  function isPersistable(field) {
+    if (!field.name || field.disabled) return false;
+    return !["hidden", "file", "submit", "button", "password"].includes(
+      field.type
+    );
+  }
+
+  function Wizard(form) {
+    this.form = form;
+    this.steps = Array.from(form.querySelectorAll(".wizard-step"));
+    this.progress = Array.from(
+      form.querySelectorAll(".wizard-progress-step")
+    );
+    this.backBtn = form.querySelector("[data-wizard-back]");
+    this.nextBtn = form.querySelector("[data-wizard-next]");
+    this.submitBtn = form.querySelector('button[type="submit"]');
+    this.storageKey = STORAGE_PREFIX + (form.id || "form");
+    this.current = 0;
+  }
+
+  Wizard.prototype = {
+    init() {
+      if (this.steps.length === 0) return;
+      this.form.classList.add("is-wizard-ready");
+
+      this.restore();
+      this.show(this.current, false);
+
+      this.nextBtn &&
+        this.nextBtn.addEventListener("click", () => this.next());
+      this.backBtn &&
+        this.backBtn.addEventListener("click", () => this.back());
+
+      // Enter on an earlier step moves forward instead of submitting
+      this.form.addEventListener("keydown", (e) => {
+        if (
+          e.key === "Enter" &&
+          e.target.tagName !== "TEXTAREA" &&
+          e.target.type !== "submit" &&
+          !this.isLast()
+        ) {
+          e.preventDefault();
+          this.next();
+        }
+      });
+
+      // Completed steps in the progress bar are clickable
+      this.progress.forEach((item, index) => {
+        item.addEventListener("click", () => {
+          if (index < this.current) this.show(index, true);
+        });
+      });
+
+      this.form.addEventListener("input", () => this.save());
+      this.form.addEventListener("change", () => this.save());
+
+      // Whole-form validation on submit: jump to the step with the problem
+      this.form.addEventListener("formvalidation", (e) => {
+        const field = e.detail.firstInvalid;
+        if (!field) return;
+        const step = this.steps.indexOf(field.closest(".wizard-step"));
+        if (step !== -1 && step !== this.current) this.show(step, true);
+      });
+
+      // A successful (or queued) submission resets the form: start over
+      this.form.addEventListener("reset", () => {
+        this.clear();
+        setTimeout(() => this.show(0, false), 0);
+      });
+    },
+
+    isLast() {
+      return this.current === this.steps.length - 1;
+    },
+
+    next() {
+      const step = this.steps[this.current];
+      const validation = window.FormValidator
+        ? window.FormValidator.validate(step)
+        : Promise.resolve(this.isStepComplete(this.current));
+
+      return validation.then((valid) => {
+        if (!valid) {
+          const invalid = step.querySelector(".error");
+          const target =
+            invalid &&
+            (invalid.matches("input, select, textarea")
+              ? invalid
+              : invalid.querySelector("input, select, textarea"));
+          target && target.focus();
+          return;
+        }
+        if (!this.isLast()) this.show(this.current + 1, true);
+      });
+    },
+
+    back() {
+      if (this.current > 0) this.show(this.current - 1, true);
+    },
+
+    show(index, moveFocus) {
+      this.current = Math.max(0, Math.min(index, this.steps.length - 1));
+
+      this.steps.forEach((step, i) => {
+        const active = i === this.current;
+        step.classList.toggle("active", active);
+        step.hidden = !active;
+      });
+
+      this.progress.forEach((item, i) => {
+        item.classList.toggle("active", i === this.current);
+        item.classList.toggle("complete", i < this.current);
+        if (i === this.current) item.setAttribute("aria-current", "step");
+        else item.removeAttribute("aria-current");
+      });
+
+      if (this.backBtn) this.backBtn.hidden = this.current === 0;
+      if (this.nextBtn) this.nextBtn.hidden = this.isLast();
+      if (this.submitBtn) this.submitBtn.hidden = !this.isLast();
+
+      if (moveFocus) {
+        const first = this.steps[this.current].querySelector(
+          "input:not([type=hidden]), select, textarea"
+        );
+        first && first.focus({ preventScroll: true });
+        this.form.scrollIntoView({ behavior: "smooth", block: "start" });
+      }
+      this.save();
+    },
+
+    // ------------------------------
+    // sessionStorage persistence
+    // ------------------------------
+    save() {
+      const values = {};
+      Array.from(this.form.elements).forEach((field) => {
+        if (!isPersistable(field)) return;
+        if (field.type === "radio" || field.type === "checkbox") {
+          if (field.checked) {
+            values[field.name] = [].concat(values[field.name] || [], field.value);
+          }
+        } else {
+          values[field.name] = field.value;
+        }
+      });
+      try {
+        sessionStorage.setItem(
+          this.storageKey,
+          JSON.stringify({ step: this.current, values })
+        );
+      } catch (_) {}
+    },
+
+    restore() {
+      let state = null;
+      try {
+        state = JSON.parse(sessionStorage.getItem(this.storageKey));
+      } catch (_) {}
+      if (!state || !state.values) return;
+
+      Array.from(this.form.elements).forEach((field) => {
+        if (!isPersistable(field) || !(field.name in state.values)) return;
+        const saved = state.values[field.name];
+        if (field.type === "radio" || field.type === "checkbox") {
+          field.checked = [].concat(saved).includes(field.value);
+        } else {
+          field.value = saved;
+        }
+      });
+
+      // Never restore past a step that no longer validates
+      const target = Number(state.step) || 0;
+      let step = 0;
+      while (step < target && this.isStepComplete(step)) step++;
+      this.current = step;
+    },
+
+    // Silent check: required answers present in a step
+    isStepComplete(index) {
+      const required = this.steps[index].querySelectorAll("[required]");
+      return Array.from(required).every((field) => {
+        if (field.type === "radio") {
+          return !!this.steps[index].querySelector(
+            `input[name="${field.name}"]:checked`
+          );
+        }
+        return field.value.trim() !== "";
+      });
+    },
+
+    clear() {
+      try {
+        sessionStorage.removeItem(this.storageKey);
+      } catch (_) {}
+    },
+  };
+
+  function initQuoteWizards() {
+    document
+      .querySelectorAll("form[data-wizard]")
+      .forEach((form) => new Wizard(form).init());
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initQuoteWizards);
+  } else {
+    initQuoteWizards();
+  }
+
+  window.QuoteWizard = Wizard;
+})();
@@ -0,0 +1,253 @@
+/**
+ * Runtime Cache: expiring, size-limited caches for the service worker
+ * - Each cache is declared with its own limits:
+ *     RuntimeCache.define("images-v2", { maxEntries, maxAgeSeconds,
+ *       maxBytes, priority })
+ * - When every entry was stored and last used is kept in IndexedDB, so
+ *   match() never returns anything past maxAgeSeconds, and eviction drops
+ *   the least recently *used* entry, not just the oldest stored
+ * - After each put the cache is trimmed to its limits; if the origin's
+ *   storage use nears its quota, caches are emptied lowest priority first
+ *   (photos before pages), and caches that aren't declared (the precache)
+ *   are never touched
+ *
+ * Loaded by sw.js via importScripts.
+ */
+(function () {
+  "use strict";
+
+  const DB_NAME = "cockys-runtime-cache";
+  const DB_VERSION = 1;
+  const STORE = "entries";
+  const QUOTA_RATIO = 0.8; // start evicting at 80% of the storage quota
+  const QUOTA_CHECK_INTERVAL = 60 * 1000;
+
+  const configs = new Map();
+  let dbPromise = null;
+  let lastQuotaCheck = 0;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("cache", "cache");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+    return dbPromise;
+  }
+
+  // Run fn(store) in a transaction and resolve with its request's result
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      let value;
+      const req = fn(tx.objectStore(STORE));
+      if (req) req.onsuccess = () => (value = req.result);
+      tx.oncomplete = () => resolve(value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function urlOf(request) {
+    return typeof request === "string"
+      ? new URL(request, self.location.href).href
+      : request.url;
+  }
+
+  function idFor(cacheName, url) {
+    return `${cacheName} ${url}`;
+  }
+
+  function isExpired(entry, config) {
+    return (
+      !!config.maxAgeSeconds &&
+      Date.now() - entry.cachedAt > config.maxAgeSeconds * 1000
+    );
+  }
+
+  // Body size without reading it twice when the server says
+  async function sizeOf(response) {
+    const length = Number(response.headers.get("content-length"));
+    if (length > 0) return length;
+    try {
+      return (await response.clone().blob()).size;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  async function remove(cacheName, entries) {
+    if (entries.length === 0) return;
+    const cache = await caches.open(cacheName);
+    await Promise.all(entries.map((entry) => cache.delete(entry.url)));
+    await withStore("readwrite", (store) => {
+      entries.forEach((entry) => store.delete(entry.id));
+    });
+  }
+
+  // Least recently used first
+  async function entriesOf(cacheName) {
+    const entries = await withStore("readonly", (store) =>
+      store.index("cache").getAll(cacheName)
+    );
+    return (entries || []).sort((a, b) => a.accessedAt - b.accessedAt);
+  }
+
+  const RuntimeCache = {
+    define(cacheName, config) {
+      configs.set(
+        cacheName,
+        Object.assign(
+          { maxEntries: 0, maxAgeSeconds: 0, maxBytes: 0, priority: 0 },
+          config
+        )
+      );
+      return cacheName;
+    },
+
+    names() {
+      return Array.from(configs.keys());
+    },
+
+    // A fresh cached response (marked as just used), or undefined
+    async match(cacheName, request) {
+      const config = configs.get(cacheName);
+      const cache = await caches.open(cacheName);
+      const response = await cache.match(request);
+      if (!response || !config) return response;
+
+      const id = idFor(cacheName, urlOf(request));
+      try {
+        const entry = await withStore("readonly", (store) => store.get(id));
+        // No record: stored before tracking began, so its age is unknown
+        if (!entry || isExpired(entry, config)) {
+          await remove(cacheName, [entry || { id, url: urlOf(request) }]);
+          return undefined;
+        }
+        entry.accessedAt = Date.now();
+        withStore("readwrite", (store) => store.put(entry)).catch(() => {});
+      } catch (_) {
+        // Bookkeeping unavailable: a cached copy still beats none
+      }
+      return response;
+    },
+
+    async put(cacheName, request, response) {
+      // Partial (206) and opaque responses can't be measured or reused
+      if (!response || response.status !== 200) return;
+      const url = urlOf(request);
+      const id = idFor(cacheName, url);
+      const size = await sizeOf(response);
+      const cache = await caches.open(cacheName);
+
+      // Record first: match() deletes cached copies that have no record,
+      // and would catch this one if it were stored before its record. For
+      // the same reason a copy that can't be recorded isn't stored at all.
+      const now = Date.now();
+      try {
+        await withStore("readwrite", (store) =>
+          store.put({
+            id,
+            cache: cacheName,
+            url,
+            size,
+            cachedAt: now,
+            accessedAt: now,
+          })
+        );
+      } catch (error) {
+        console.warn("[sw] runtime cache bookkeeping failed:", error);
+        return;
+      }
+
+      try {
+        await cache.put(request, response);
+      } catch (error) {
+        await withStore("readwrite", (store) => store.delete(id)).catch(
+          () => {}
+        );
+        throw error;
+      }
+
+      try {
+        await this.enforce(cacheName);
+        await this.checkQuota();
+      } catch (error) {
+        console.warn("[sw] runtime cache bookkeeping failed:", error);
+      }
+    },
+
+    // Drop expired entries, then least recently used ones over the limits
+    async enforce(cacheName) {
+      const config = configs.get(cacheName);
+      if (!config) return;
+      const entries = await entriesOf(cacheName);
+
+      const expired = entries.filter((entry) => isExpired(entry, config));
+      const live = entries.filter((entry) => !isExpired(entry, config));
+      const evicted = [];
+
+      let bytes = live.reduce((sum, entry) => sum + (entry.size || 0), 0);
+      while (
+        live.length > 0 &&
+        ((config.maxEntries && live.length > config.maxEntries) ||
+          (config.maxBytes && bytes > config.maxBytes))
+      ) {
+        const oldest = live.shift();
+        bytes -= oldest.size || 0;
+        evicted.push(oldest);
+      }
+      await remove(cacheName, expired.concat(evicted));
+    },
+
+    // Near the quota: empty caches lowest priority first, LRU within each
+    async checkQuota(force) {
+      if (!self.navigator.storage || !self.navigator.storage.estimate) return;
+      const now = Date.now();
+      if (!force && now - lastQuotaCheck < QUOTA_CHECK_INTERVAL) return;
+      lastQuotaCheck = now;
+
+      let { usage, quota } = await self.navigator.storage.estimate();
+      if (!quota || usage < quota * QUOTA_RATIO) return;
+      const target = quota * QUOTA_RATIO;
+
+      const order = Array.from(configs.entries())
+        .sort((a, b) => a[1].priority - b[1].priority)
+        .map(([name]) => name);
+      for (const cacheName of order) {
+        const entries = await entriesOf(cacheName);
+        const evicted = [];
+        while (entries.length > 0 && usage > target) {
+          const oldest = entries.shift();
+          usage -= oldest.size || 0;
+          evicted.push(oldest);
+        }
+        await remove(cacheName, evicted);
+        if (usage <= target) break;
+      }
+    },
+
+    // Forget bookkeeping for caches that were deleted outright
+    async prune(liveCaches) {
+      const entries = await withStore("readonly", (store) => store.getAll());
+      const stale = (entries || []).filter(
+        (entry) => !liveCaches.includes(entry.cache)
+      );
+      if (stale.length === 0) return;
+      await withStore("readwrite", (store) => {
+        stale.forEach((entry) => store.delete(entry.id));
+      });
+    },
+  };
+
+  self.RuntimeCache = RuntimeCache;
+})();
@@ -0,0 +1,273 @@
+/**
+ * Web Vitals: one set of observers for every script that reports vitals
+ * - LCP, CLS, INP, FCP and TTFB, each rated good / needs-improvement / poor
+ * - INP from Event Timing entries, grouped by interaction: the worst one,
+ *   ignoring one outlier per 50 interactions on long-lived pages
+ * - CLS as the worst session window (shifts < 1s apart, at most 5s long)
+ * - Attribution: the LCP element, the nodes that moved in the worst CLS
+ *   window, and the target and timing phases of the slowest interaction
+ *
+ * Consumers subscribe rather than observing again (performance-monitor.js,
+ * boost-performance-2.js):
+ *   WebVitals.onMetric(({ name, value, rating, attribution }) => ...)
+ * The callback runs on every change, and at once for values already known.
+ * Load before its consumers.
+ */
+(function () {
+  "use strict";
+
+  // [good, needs-improvement] upper bounds, as published for each metric
+  const THRESHOLDS = {
+    lcp: [2500, 4000],
+    inp: [200, 500],
+    cls: [0.1, 0.25],
+    fcp: [1800, 3000],
+    ttfb: [800, 1800],
+  };
+
+  // Interactions shorter than this aren't reported as "event" entries
+  const EVENT_DURATION_THRESHOLD = 40;
+  // Worst interactions kept for the INP estimate
+  const MAX_INTERACTIONS = 10;
+
+  function rate(name, value) {
+    const [good, poor] = THRESHOLDS[name];
+    if (value <= good) return "good";
+    return value <= poor ? "needs-improvement" : "poor";
+  }
+
+  // Short, readable CSS path: "#id" or up to four "tag.class" levels
+  function selectorOf(node) {
+    if (!node || node.nodeType !== 1) {
+      node = node && node.parentElement;
+      if (!node) return null;
+    }
+    const parts = [];
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      if (node.id) {
+        parts.unshift(`#${node.id}`);
+        break;
+      }
+      let part = node.tagName.toLowerCase();
+      const classes = Array.from(node.classList || []).slice(0, 2);
+      if (classes.length) part += "." + classes.join(".");
+      parts.unshift(part);
+      if (part === "body") break;
+      node = node.parentElement;
+    }
+    return parts.join(" > ");
+  }
+
+  function observe(type, callback, options) {
+    if (!("PerformanceObserver" in window)) return null;
+    try {
+      const supported = PerformanceObserver.supportedEntryTypes || [];
+      if (supported.length && !supported.includes(type)) return null;
+      const observer = new PerformanceObserver((list) =>
+        callback(list.getEntries())
+      );
+      observer.observe(Object.assign({ type, buffered: true }, options));
+      return observer;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  const WebVitals = {
+    THRESHOLDS,
+    metrics: {},
+    listeners: [],
+
+    init() {
+      this.observeLCP();
+      this.observeCLS();
+      this.observeINP();
+      this.observeFCP();
+      this.measureTTFB();
+    },
+
+    onMetric(callback) {
+      this.listeners.push(callback);
+      Object.keys(this.metrics).forEach((name) => {
+        try {
+          callback(this.metrics[name]);
+        } catch (e) {
+          console.warn("Web vitals listener failed:", e);
+        }
+      });
+    },
+
+    get(name) {
+      return this.metrics[name] || null;
+    },
+
+    report(name, value, attribution) {
+      const metric = {
+        name,
+        value,
+        rating: rate(name, value),
+        attribution: attribution || {},
+        timestamp: Date.now(),
+      };
+      this.metrics[name] = metric;
+      this.listeners.forEach((callback) => {
+        try {
+          callback(metric);
+        } catch (e) {
+          console.warn("Web vitals listener failed:", e);
+        }
+      });
+    },
+
+    // The last candidate before the first input (or hiding the page) wins
+    observeLCP() {
+      let done = false;
+      const observer = observe("largest-contentful-paint", (entries) => {
+        if (done) return;
+        const last = entries[entries.length - 1];
+        if (!last) return;
+        this.report("lcp", last.startTime, {
+          element: selectorOf(last.element),
+          url: last.url || null,
+          size: last.size,
+        });
+      });
+      if (!observer) return;
+
+      const stop = () => {
+        if (done) return;
+        done = true;
+        observer.takeRecords();
+        observer.disconnect();
+      };
+      ["keydown", "pointerdown"].forEach((type) =>
+        addEventListener(type, stop, { once: true, capture: true })
+      );
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") stop();
+      });
+    },
+
+    observeCLS() {
+      let worst = 0;
+      let session = { value: 0, entries: [] };
+
+      observe("layout-shift", (entries) => {
+        entries.forEach((entry) => {
+          if (entry.hadRecentInput) return;
+          const first = session.entries[0];
+          const last = session.entries[session.entries.length - 1];
+          if (
+            session.entries.length &&
+            entry.startTime - last.startTime < 1000 &&
+            entry.startTime - first.startTime < 5000
+          ) {
+            session.value += entry.value;
+            session.entries.push(entry);
+          } else {
+            session = { value: entry.value, entries: [entry] };
+          }
+
+          if (session.value > worst) {
+            worst = session.value;
+            this.report("cls", worst, this.clsAttribution(session.entries));
+          }
+        });
+      });
+    },
+
+    // The nodes that moved in the worst window, biggest shift first
+    clsAttribution(entries) {
+      const largest = entries.reduce((a, b) => (b.value > a.value ? b : a));
+      const targets = [];
+      entries
+        .slice()
+        .sort((a, b) => b.value - a.value)
+        .forEach((entry) => {
+          (entry.sources || []).forEach((source) => {
+            const selector = selectorOf(source.node);
+            if (selector && !targets.includes(selector)) targets.push(selector);
+          });
+        });
+      return {
+        largestShiftTarget: targets[0] || null,
+        largestShiftValue: largest.value,
+        largestShiftTime: largest.startTime,
+        targets: targets.slice(0, 5),
+      };
+    },
+
+    observeINP() {
+      // interactionId -> the longest entry seen for that interaction
+      const interactions = new Map();
+      let worst = [];
+
+      const handle = (entries) => {
+        let changed = false;
+        entries.forEach((entry) => {
+          if (!entry.interactionId) return;
+          const known = interactions.get(entry.interactionId);
+          if (known && known.duration >= entry.duration) return;
+          interactions.set(entry.interactionId, entry);
+          changed = true;
+        });
+        if (!changed) return;
+
+        worst = Array.from(interactions.values())
+          .sort((a, b) => b.duration - a.duration)
+          .slice(0, MAX_INTERACTIONS);
+        const count = performance.interactionCount || interactions.size;
+        const entry = worst[Math.min(Math.floor(count / 50), worst.length - 1)];
+        this.report("inp", entry.duration, this.inpAttribution(entry));
+      };
+
+      observe("event", handle, {
+        durationThreshold: EVENT_DURATION_THRESHOLD,
+      });
+      // The first interaction counts even when it's fast
+      observe("first-input", handle);
+    },
+
+    // Where the slowest interaction's time went
+    inpAttribution(entry) {
+      const processingEnd = Math.min(
+        entry.processingEnd,
+        entry.startTime + entry.duration
+      );
+      return {
+        target: selectorOf(entry.target),
+        type: entry.name,
+        time: entry.startTime,
+        inputDelay: entry.processingStart - entry.startTime,
+        processingDuration: processingEnd - entry.processingStart,
+        presentationDelay: entry.startTime + entry.duration - processingEnd,
+        loadState: document.readyState,
+      };
+    },
+
+    observeFCP() {
+      const observer = observe("paint", (entries) => {
+        entries.forEach((entry) => {
+          if (entry.name !== "first-contentful-paint") return;
+          this.report("fcp", entry.startTime);
+          if (observer) observer.disconnect();
+        });
+      });
+    },
+
+    measureTTFB() {
+      const navigation =
+        performance.getEntriesByType &&
+        performance.getEntriesByType("navigation")[0];
+      if (!navigation || navigation.responseStart <= 0) return;
+      this.report("ttfb", navigation.responseStart, {
+        waiting: navigation.responseStart - navigation.requestStart,
+        dns: navigation.domainLookupEnd - navigation.domainLookupStart,
+        connection: navigation.connectEnd - navigation.connectStart,
+      });
+    },
+  };
+
+  WebVitals.init();
+  window.WebVitals = WebVitals;
+})();
@@ -1,55 +1,155 @@
 /**
  * Service Worker: Zero visual impact caching strategies
- * - HTML: Network First (fresh content)
+ * - HTML: Network First (fresh content); pages never saved fall back to
+ *   /offline.html
+ * - Connectivity: every network success or failure tells open pages whether
+ *   the site is reachable (connectivity.js shows the banner)
  * - CSS/JS: Stale-While-Revalidate (fast + fresh)
- * - Images/Fonts: Cache First with expiration
+ * - Images/Fonts: Cache First until the copy expires; images requested with
+ *   a width hint (?w= or Sec-CH-Width) get the closest pre-generated variant
+ *   from /data/image-variants.json (tools/build-image-variants.js)
+ * - Video/audio: range requests are answered from a cached copy of the whole
+ *   file, which is fetched once in the background
+ * - Runtime caches (js/runtime-cache.js): pages, scripts/styles, images and
+ *   fonts each have their own entry limit and max age, evicted least recently
+ *   used first; near the storage quota photos go before pages, and the
+ *   precache is never evicted
+ * - Updates: a new version waits until the visitor accepts the "Site updated"
+ *   prompt, or until a navigation leaves the new page as the only tab
+ * - Offline form submissions: replayed via Background Sync
+ * - Precache: every file in /asset-manifest.js, generated with content hashes
+ *   by tools/build-asset-manifest.js. Changing any listed file changes that
+ *   script, so browsers pick up a new worker and a new cache version
  */
-const VERSION = "v1";
+// Shared with the pages: request dispatch and the IndexedDB outbox
+importScripts("/js/form-transport.js", "/js/form-queue.js");
+importScripts("/js/runtime-cache.js");
+
+// self.ASSET_MANIFEST: { version, assets: { url: hash } }
+try {
+  importScripts("/asset-manifest.js");
+} catch (e) {
+  // Missing manifest: install anyway, with runtime caching only
+}
+const ASSET_MANIFEST = self.ASSET_MANIFEST || { version: "dev", assets: {} };
+
+const VERSION = ASSET_MANIFEST.version;
 const CORE_CACHE = `core-${VERSION}`;
-const RUNTIME_CACHE = `runtime-${VERSION}`;
 
-// Limit for runtime cache entries (soft LRU)
-const MAX_RUNTIME_ENTRIES = 120;
+// Runtime caches keep their names across versions: what's in them was
+// fetched live, so it stays valid until it expires, not until a deploy.
+// Lower priority is evicted first when storage runs short.
+const DAY = 24 * 60 * 60;
+const PAGES_CACHE = RuntimeCache.define("pages-v1", {
+  maxEntries: 30,
+  maxAgeSeconds: 7 * DAY,
+  priority: 4,
+});
+const ASSETS_CACHE = RuntimeCache.define("assets-v1", {
+  maxEntries: 60,
+  maxAgeSeconds: 30 * DAY,
+  priority: 3,
+});
+const FONTS_CACHE = RuntimeCache.define("fonts-v1", {
+  maxEntries: 20,
+  maxAgeSeconds: 365 * DAY,
+  priority: 2,
+});
+const IMAGES_CACHE = RuntimeCache.define("images-v1", {
+  maxEntries: 80,
+  maxAgeSeconds: 30 * DAY,
+  maxBytes: 60 * 1024 * 1024,
+  priority: 1,
+});
+// Whole video files, so range requests can be answered offline
+const MEDIA_CACHE = RuntimeCache.define("media-v1", {
+  maxEntries: 3,
+  maxAgeSeconds: 30 * DAY,
+  maxBytes: 100 * 1024 * 1024,
+  priority: 0,
+});
 
-async function trimCache(cacheName, maxEntries) {
-  try {
-    const cache = await caches.open(cacheName);
-    const keys = await cache.keys();
-    if (keys.length > maxEntries) {
-      // delete oldest first
-      const toDelete = keys.slice(0, keys.length - maxEntries);
-      await Promise.all(toDelete.map((req) => cache.delete(req)));
-    }
-  } catch (e) {
-    // no-op
-  }
-}
-
-// Core files to cache on install
-const CORE_ASSETS = [
-  "/",
-  "/index.html",
-  "/about.html",
-  "/services.html",
-  "/gallery.html",
-  "/contact.html",
-  "/css/style.css",
-  "/css/responsive.css",
-  "/js/main.js",
-  "/js/resource-prioritizer.js",
-  "/js/image-optimizer.js",
-  "/js/boost-performance.js",
-  "/images/Updated.png",
-  "/videos/test.mp4",
-];
+// Precached copy first (it matches this version), then the runtime cache
+async function fromCache(cacheName, request) {
+  const core = await (await caches.open(CORE_CACHE)).match(request);
+  return core || RuntimeCache.match(cacheName, request);
+}
 
-self.addEventListener("install", (event) => {
-  event.waitUntil(
-    caches
-      .open(CORE_CACHE)
-      .then((cache) => cache.addAll(CORE_ASSETS))
-      .then(() => self.skipWaiting())
+// Precached copies carry their content hash, so the next version can reuse
+// files that haven't changed instead of downloading them again
+const HASH_HEADER = "X-Asset-Hash";
+
+// Must match hashOf() in tools/build-asset-manifest.js
+async function hashOf(buffer) {
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("")
+    .slice(0, 10);
+}
+
+// Same-hash copy from an older core cache, if one is still around
+async function reusable(url, hash) {
+  const names = (await caches.keys()).filter(
+    (name) => name.startsWith("core-") && name !== CORE_CACHE
+  );
+  for (const name of names) {
+    const cached = await (await caches.open(name)).match(url);
+    if (cached && cached.headers.get(HASH_HEADER) === hash) return cached;
+  }
+  return null;
+}
+
+async function precacheAsset(cache, url, hash) {
+  const existing = await cache.match(url);
+  if (existing && existing.headers.get(HASH_HEADER) === hash) return;
+
+  const previous = await reusable(url, hash);
+  if (previous) {
+    await cache.put(url, previous);
+    return;
+  }
+
+  // Bypass the HTTP cache: the manifest says this content is new
+  const response = await fetch(new Request(url, { cache: "reload" }));
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  const body = await response.arrayBuffer();
+  // Tag what actually arrived: a file mid-deploy won't be mistaken for
+  // the manifest's version and carried forward
+  const headers = new Headers(response.headers);
+  headers.set(HASH_HEADER, await hashOf(body));
+  await cache.put(
+    url,
+    new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    })
   );
+}
+
+// One missing or failing file no longer fails the whole install
+async function precache() {
+  const cache = await caches.open(CORE_CACHE);
+  const entries = Object.entries(ASSET_MANIFEST.assets);
+  const results = await Promise.allSettled(
+    entries.map(([url, hash]) => precacheAsset(cache, url, hash))
+  );
+  const failed = results
+    .filter((result) => result.status === "rejected")
+    .map((result) => String(result.reason && result.reason.message));
+  if (failed.length > 0) {
+    console.warn(
+      `[sw] ${failed.length} of ${entries.length} assets not precached:`,
+      failed
+    );
+  }
+}
+
+self.addEventListener("install", (event) => {
+  // No skipWaiting(): an open page keeps this version until the visitor
+  // accepts the update (boost-performance.js) or navigates
+  event.waitUntil(precache());
 });
 
 self.addEventListener("activate", (event) => {
@@ -61,37 +161,247 @@ self.addEventListener("activate", (event) => {
         }
       } catch (e) {}
 
+      const keep = [CORE_CACHE].concat(RuntimeCache.names());
       const keys = await caches.keys();
       await Promise.all(
-        keys
-          .filter((k) => ![CORE_CACHE, RUNTIME_CACHE].includes(k))
-          .map((k) => caches.delete(k))
+        keys.filter((k) => !keep.includes(k)).map((k) => caches.delete(k))
       );
+      try {
+        await RuntimeCache.prune(keep);
+        await RuntimeCache.checkQuota(true);
+      } catch (e) {}
       await self.clients.claim();
     })()
   );
 });
 
+// ------------------------------
+// Connectivity, as seen by real requests
+// ------------------------------
+let online = true;
+
+function broadcastConnectivity() {
+  return self.clients
+    .matchAll({ type: "window", includeUncontrolled: true })
+    .then((clients) =>
+      clients.forEach((client) =>
+        client.postMessage({ type: "connectivity", online })
+      )
+    );
+}
+
+function setOnline(value) {
+  if (online === value) return;
+  online = value;
+  broadcastConnectivity();
+}
+
+// fetch() that keeps the connectivity state current; only a network error
+// (TypeError) means offline, an HTTP error still means the server answered
+function networkFetch(request) {
+  return fetch(request).then(
+    (response) => {
+      setOnline(true);
+      return response;
+    },
+    (error) => {
+      if (error instanceof TypeError) setOnline(false);
+      throw error;
+    }
+  );
+}
+
 function fromNetwork(request, timeout) {
   return new Promise((resolve, reject) => {
     const timeoutId = setTimeout(reject, timeout);
 
-    // Use navigation preload response when available for navigations
-    async function respondWithPreload(event) {
-      try {
-        const preload = await event.preloadResponse;
-        if (preload) return preload;
-      } catch (_) {}
-      return null;
-    }
-
-    fetch(request).then((response) => {
+    networkFetch(request).then((response) => {
       clearTimeout(timeoutId);
       resolve(response);
     }, reject);
   });
 }
 
+// Take over on the next navigation, but only when the page it opens is the
+// only window: any other tab, even the one navigating away until its page
+// is replaced, could be halfway through the contact form
+const NAVIGATION_SETTLE_TRIES = 20;
+const NAVIGATION_SETTLE_MS = 500;
+
+async function activateWaitingOnNavigate(event) {
+  const clientId = event.resultingClientId;
+  if (!self.registration.waiting || !clientId) return;
+
+  // The new page becomes a client once it's loading, and the page it
+  // replaces goes away about then; other tabs never do, so give up after
+  // a while and leave it to the prompt
+  for (let i = 0; i < NAVIGATION_SETTLE_TRIES; i++) {
+    await new Promise((resolve) => setTimeout(resolve, NAVIGATION_SETTLE_MS));
+    const windows = await self.clients.matchAll({ type: "window" });
+    if (!windows.some((client) => client.id === clientId)) continue;
+
+    const others = windows.filter(
+      (client) =>
+        client.id !== clientId && client.id !== event.replacesClientId
+    );
+    if (others.length > 0) continue;
+    const waiting = self.registration.waiting;
+    if (waiting) waiting.postMessage({ type: "sw:skip-waiting" });
+    return;
+  }
+}
+
+// Cache First: a fresh cached copy, or the network (and cache the answer)
+function cacheFirst(event, cacheName, request) {
+  return fromCache(cacheName, request).then((cached) => {
+    if (cached) return cached;
+    const network = networkFetch(request);
+    event.waitUntil(
+      network
+        .then((res) => RuntimeCache.put(cacheName, request, res.clone()))
+        .catch(() => {})
+    );
+    return network;
+  });
+}
+
+// ------------------------------
+// Responsive images
+// ------------------------------
+const VARIANTS_URL = "/data/image-variants.json";
+let variantsPromise = null;
+
+// { images: { "/path/photo.jpg": { width, variants: { 480: url } } } }
+function imageVariants() {
+  if (!variantsPromise) {
+    variantsPromise = fromCache(ASSETS_CACHE, VARIANTS_URL)
+      .then((cached) => cached || networkFetch(VARIANTS_URL))
+      .then((res) => (res.ok ? res.json() : { images: {} }))
+      .catch(() => {
+        variantsPromise = null; // try again on the next image
+        return { images: {} };
+      });
+  }
+  return variantsPromise;
+}
+
+// Width hint in device pixels, or 0 when the request has none
+function widthHint(request, url) {
+  const hint = Number(
+    url.searchParams.get("w") || request.headers.get("Sec-CH-Width")
+  );
+  return hint > 0 ? hint : 0;
+}
+
+// The smallest variant at least as wide as the hint, then the original.
+// Each is cached under its own URL, so one copy serves every hint it fits.
+async function responsiveImage(event, url) {
+  const hint = widthHint(event.request, url);
+  if (!hint) return cacheFirst(event, IMAGES_CACHE, event.request);
+
+  url.searchParams.delete("w");
+  const original = url.href;
+  const { images } = await imageVariants();
+  let path = url.pathname;
+  try {
+    path = decodeURIComponent(path);
+  } catch (_) {
+    // Malformed escape: it names no listed photo, so the original is served
+  }
+  const image = images[path];
+  const width =
+    image &&
+    Object.keys(image.variants)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .find((w) => w >= hint);
+
+  if (width) {
+    try {
+      const variant = await cacheFirst(
+        event,
+        IMAGES_CACHE,
+        new URL(image.variants[width], location.origin).href
+      );
+      if (variant.ok) return variant;
+    } catch (_) {
+      // Fall back to the original below
+    }
+  }
+  return cacheFirst(event, IMAGES_CACHE, original);
+}
+
+// ------------------------------
+// Range requests (video)
+// ------------------------------
+const mediaDownloads = new Map();
+
+// Fetch the whole file once, for later range requests and offline use
+function cacheMedia(url) {
+  if (!mediaDownloads.has(url)) {
+    const download = networkFetch(url)
+      .then((res) => RuntimeCache.put(MEDIA_CACHE, url, res))
+      .catch(() => {})
+      .then(() => mediaDownloads.delete(url));
+    mediaDownloads.set(url, download);
+  }
+  return mediaDownloads.get(url);
+}
+
+// "bytes=0-", "bytes=100-199" or "bytes=-500" against a file of `size`
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+  let start;
+  let end;
+  if (match[1] === "") {
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : null;
+}
+
+async function rangeResponse(full, header) {
+  const blob = await full.blob();
+  const range = parseRange(header, blob.size);
+  if (!range) {
+    return new Response(null, {
+      status: 416,
+      statusText: "Range Not Satisfiable",
+      headers: { "Content-Range": `bytes */${blob.size}` },
+    });
+  }
+  const { start, end } = range;
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": full.headers.get("Content-Type") || blob.type,
+      "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(end - start + 1),
+      "Accept-Ranges": "bytes",
+    },
+  });
+}
+
+// Slices of the cached file; until it's cached, the network answers
+// (range and all) while the whole file downloads in the background
+async function mediaResponse(event) {
+  const req = event.request;
+  const cached = await RuntimeCache.match(MEDIA_CACHE, req.url);
+  const range = req.headers.get("Range");
+  if (cached) return range ? rangeResponse(cached, range) : cached;
+  // Not on Save-Data connections: it can be a big download
+  const connection = self.navigator.connection;
+  if (!(connection && connection.saveData)) {
+    event.waitUntil(cacheMedia(req.url));
+  }
+  return networkFetch(req);
+}
+
 self.addEventListener("fetch", (event) => {
   // Short-circuit non-GET requests
   if (event.request.method !== "GET") return;
@@ -103,24 +413,34 @@ self.addEventListener("fetch", (event) => {
 
   // Network First for documents (HTML)
   if (req.mode === "navigate" || req.destination === "document") {
+    event.waitUntil(activateWaitingOnNavigate(event).catch(() => {}));
     event.respondWith(
       (async () => {
-        // Try navigation preload first
-        const preload = await (event.preloadResponse || Promise.resolve(null));
+        // Try navigation preload first; it rejects when there's no network,
+        // which must still end at the offline fallback below
+        let preload = null;
+        try {
+          preload = await event.preloadResponse;
+        } catch (_) {
+          setOnline(false);
+        }
         if (preload) {
-          const copy = preload.clone();
-          caches.open(RUNTIME_CACHE).then((cache) => cache.put(req, copy));
+          setOnline(true);
+          event.waitUntil(RuntimeCache.put(PAGES_CACHE, req, preload.clone()));
           return preload;
         }
         // Fallback to network first with timeout
         try {
           const res = await fromNetwork(req, 3000);
-          const copy = res.clone();
-          caches.open(RUNTIME_CACHE).then((cache) => cache.put(req, copy));
+          event.waitUntil(RuntimeCache.put(PAGES_CACHE, req, res.clone()));
           return res;
         } catch (_) {
-          const cacheRes = await caches.match(req);
-          return cacheRes || caches.match("/index.html");
+          const cacheRes = await fromCache(PAGES_CACHE, req);
+          return (
+            cacheRes ||
+            (await caches.match("/offline.html")) ||
+            caches.match("/index.html")
+          );
         }
       })()
     );
@@ -130,49 +450,79 @@ self.addEventListener("fetch", (event) => {
   // Stale-While-Revalidate for CSS/JS
   if (["style", "script"].includes(req.destination)) {
     event.respondWith(
-      caches.match(req).then((cached) => {
-        const fetchPromise = fetch(req)
-          .then((networkRes) => {
-            caches
-              .open(RUNTIME_CACHE)
-              .then((cache) => cache.put(req, networkRes.clone()))
-              .then(() => trimCache(RUNTIME_CACHE, MAX_RUNTIME_ENTRIES));
-            return networkRes;
-          })
-          .catch(() => cached);
-        return cached || fetchPromise;
+      fromCache(ASSETS_CACHE, req).then((cached) => {
+        const network = networkFetch(req);
+        // Registered first, so the copy is taken before the page reads it
+        event.waitUntil(
+          network
+            .then((res) => RuntimeCache.put(ASSETS_CACHE, req, res.clone()))
+            .catch(() => {})
+        );
+        return cached || network.catch(() => cached);
       })
     );
     return;
   }
 
-  // Cache First with basic soft-expiration for images/fonts
-  if (["image", "font"].includes(req.destination)) {
-    event.respondWith(
-      caches.match(req).then((cached) => {
-        if (cached) {
-          // Revalidate in background
-          fetch(req)
-            .then((networkRes) => {
-              caches
-                .open(RUNTIME_CACHE)
-                .then((cache) => cache.put(req, networkRes.clone()));
-            })
-            .catch(() => {});
-          return cached;
-        }
-        return fetch(req).then((networkRes) => {
-          caches
-            .open(RUNTIME_CACHE)
-            .then((cache) => cache.put(req, networkRes.clone()))
-            .then(() => trimCache(RUNTIME_CACHE, MAX_RUNTIME_ENTRIES));
-          return networkRes;
-        });
-      })
-    );
+  // Range requests for video/audio, from a cached copy of the whole file
+  if (["video", "audio"].includes(req.destination)) {
+    event.respondWith(mediaResponse(event));
+    return;
+  }
+
+  // Other partial reads (exif-date.js reads the start of a photo) go
+  // straight to the network: caching them would mean the whole file
+  if (req.headers.has("Range")) return;
+
+  // Cache First for images (with width hints) and fonts; expired copies are
+  // fetched again
+  if (req.destination === "image") {
+    event.respondWith(responsiveImage(event, url));
+    return;
+  }
+  if (req.destination === "font") {
+    event.respondWith(cacheFirst(event, FONTS_CACHE, req));
     return;
   }
 
   // Default: Try cache, then network
-  event.respondWith(caches.match(req).then((cached) => cached || fetch(req)));
+  event.respondWith(
+    caches.match(req).then((cached) => cached || networkFetch(req))
+  );
+});
+
+// Background Sync: replay quote requests saved while the visitor was offline
+self.addEventListener("sync", (event) => {
+  if (event.tag === self.FormQueue.SYNC_TAG) {
+    // Rejecting tells the browser the sync failed, so it schedules a retry
+    event.waitUntil(
+      self.FormQueue.replay().then((outcome) => {
+        if (outcome.offline) throw new Error("Form queue replay: offline");
+      })
+    );
+  }
+});
+
+// Fallback for browsers without Background Sync: pages ask for a replay
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  // The visitor accepted the update prompt (or navigated, see above)
+  if (msg.type === "sw:skip-waiting") {
+    event.waitUntil(self.skipWaiting());
+  }
+  if (msg.type === "form-queue:replay") {
+    event.waitUntil(self.FormQueue.replay().catch(() => {}));
+  }
+  // A page just loaded (maybe from cache) and wants the current state
+  if (msg.type === "connectivity:query" && event.source) {
+    event.source.postMessage({ type: "connectivity", online });
+  }
+  // The browser says it's back online: confirm with a real request
+  if (msg.type === "connectivity:check") {
+    event.waitUntil(
+      networkFetch(new Request("/asset-manifest.js", { cache: "no-store" }))
+        .catch(() => {})
+        .then(broadcastConnectivity)
+    );
+  }
 });
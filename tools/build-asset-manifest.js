@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Asset manifest generator for the service worker's precache
+ * - Lists every file sw.js should precache with a hash of its contents,
+ *   plus a version hashed from all of them, into /asset-manifest.js
+ * - sw.js imports that file, so any content change alters it, the browser
+ *   sees a new service worker, and the precache moves to a new cache name;
+ *   unchanged files are carried over instead of downloaded again
+ * - Only files that exist are listed, so a stale path can't break install
+ *
+ * Run from anywhere after changing site files, and commit the result:
+ *   node tools/build-asset-manifest.js          (rewrite asset-manifest.js)
+ *   node tools/build-asset-manifest.js --check  (exit 1 if it's out of date)
+ *
+ * No dependencies beyond Node itself.
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const ROOT = path.resolve(__dirname, "..");
+const OUTPUT = path.join(ROOT, "asset-manifest.js");
+
+// Paths relative to the site root; "*" matches within one folder only
+const PRECACHE = [
+  "*.html",
+  "css/*.css",
+  "js/*.js",
+  "data/*.json",
+  "images/Logo.png",
+  "images/Updated.png",
+];
+
+// Pages and tools that visitors never need offline
+const EXCLUDE = ["demo.html", "js/performance-validator.js"];
+
+// Must match hashOf() in sw.js: first 10 hex digits of SHA-256
+function hashOf(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 10);
+}
+
+function expand(pattern) {
+  const dir = path.posix.dirname(pattern);
+  const base = path.posix.basename(pattern);
+  if (!base.includes("*")) {
+    return fs.existsSync(path.join(ROOT, pattern)) ? [pattern] : [];
+  }
+  const escaped = base.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  const matcher = new RegExp("^" + escaped.replace(/\*/g, "[^/]*") + "$");
+  const folder = path.join(ROOT, dir);
+  if (!fs.existsSync(folder)) return [];
+  return fs
+    .readdirSync(folder)
+    .filter((name) => matcher.test(name))
+    .filter((name) => fs.statSync(path.join(folder, name)).isFile())
+    .map((name) => (dir === "." ? name : `${dir}/${name}`));
+}
+
+function build() {
+  const files = new Set();
+  PRECACHE.forEach((pattern) => expand(pattern).forEach((f) => files.add(f)));
+  EXCLUDE.forEach((file) => files.delete(file));
+
+  const assets = {};
+  Array.from(files)
+    .sort()
+    .forEach((file) => {
+      assets["/" + file] = hashOf(fs.readFileSync(path.join(ROOT, file)));
+    });
+  // The site root is served as index.html
+  if (assets["/index.html"]) assets["/"] = assets["/index.html"];
+
+  const version = hashOf(
+    Object.keys(assets)
+      .sort()
+      .map((url) => `${url} ${assets[url]}`)
+      .join("\n")
+  );
+
+  const sorted = {};
+  Object.keys(assets)
+    .sort()
+    .forEach((url) => (sorted[url] = assets[url]));
+  return { version, assets: sorted };
+}
+
+function render(manifest) {
+  return (
+    "// Generated by tools/build-asset-manifest.js - do not edit by hand.\n" +
+    "// Precache list for sw.js: URL -> content hash.\n" +
+    `self.ASSET_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`
+  );
+}
+
+const manifest = build();
+const output = render(manifest);
+const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, "utf8") : "";
+
+if (process.argv.includes("--check")) {
+  if (current !== output) {
+    console.error(
+      "asset-manifest.js is out of date: run node tools/build-asset-manifest.js"
+    );
+    process.exit(1);
+  }
+  console.log("asset-manifest.js is up to date");
+} else {
+  fs.writeFileSync(OUTPUT, output);
+  const count = Object.keys(manifest.assets).length;
+  console.log(`Wrote asset-manifest.js (${count} assets, ${manifest.version})`);
+}
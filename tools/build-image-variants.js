@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Responsive image variants for the service worker
+ * - Resizes every project photo in data/projects.json (src and before) to
+ *   the WIDTHS below, into images/variants/, and lists them with each
+ *   original's width in data/image-variants.json
+ * - sw.js answers image requests carrying a width hint (?w= or
+ *   Sec-CH-Width) with the smallest listed variant at least that wide, and
+ *   the original when none is
+ * - Variants are only made smaller than the original, and are remade when
+ *   the original's content changes
+ * - Only variants that exist are listed, so the service worker never asks
+ *   for a missing file
+ *
+ * Resizing uses the sharp package when Node can load it, else ImageMagick
+ * (`magick`, or `convert` from version 6). Without either the manifest still
+ * lists originals and any variants already on disk. sharp isn't a dependency
+ * of the site; install it anywhere and point NODE_PATH at it:
+ *
+ *   node tools/build-image-variants.js
+ *   NODE_PATH=/path/to/node_modules node tools/build-image-variants.js
+ *
+ * Then run tools/build-asset-manifest.js, since the JSON file is precached.
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "..");
+const PROJECTS = path.join(ROOT, "data", "projects.json");
+const OUTPUT = path.join(ROOT, "data", "image-variants.json");
+const VARIANTS_DIR = "images/variants";
+
+const WIDTHS = [480, 960, 1600];
+const QUALITY = 82;
+
+function hashOf(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 10);
+}
+
+// Pixel width from the file header: PNG IHDR or a JPEG start-of-frame
+function widthOf(buffer) {
+  if (buffer.readUInt32BE(0) === 0x89504e47) return buffer.readUInt32BE(16);
+  if (buffer.readUInt16BE(0) !== 0xffd8) return 0;
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return 0;
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      ![0xc4, 0xc8, 0xcc].includes(marker)
+    ) {
+      return buffer.readUInt16BE(offset + 7);
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return 0;
+}
+
+// { name, resize(source, target, width) -> Promise }, or null
+function findResizer() {
+  try {
+    const sharp = require("sharp");
+    return {
+      name: "sharp",
+      resize: (source, target, width) =>
+        sharp(source)
+          .rotate()
+          .flatten({ background: "#ffffff" })
+          .resize({ width })
+          .jpeg({ quality: QUALITY, mozjpeg: true })
+          .toFile(target),
+    };
+  } catch (e) {
+    // Not installed: try ImageMagick
+  }
+
+  for (const command of ["magick", "convert"]) {
+    const probe = spawnSync(command, ["-version"], { encoding: "utf8" });
+    if (probe.status !== 0 || !/ImageMagick/.test(probe.stdout)) continue;
+    return {
+      name: command,
+      resize: (source, target, width) => {
+        const args = [
+          source,
+          "-auto-orient",
+          "-background",
+          "white",
+          "-flatten",
+          "-resize",
+          `${width}x`,
+          "-strip",
+          "-quality",
+          String(QUALITY),
+          target,
+        ];
+        const result = spawnSync(command, args, { encoding: "utf8" });
+        return result.status === 0
+          ? Promise.resolve()
+          : Promise.reject(new Error(result.stderr.trim()));
+      },
+    };
+  }
+  return null;
+}
+
+// "Featured Projects/2.jpg" -> "featured-projects-2"
+function slugOf(file) {
+  return file
+    .replace(/^images\//, "")
+    .replace(/\.[^.]+$/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function sources() {
+  const { projects } = JSON.parse(fs.readFileSync(PROJECTS, "utf8"));
+  const files = new Set();
+  projects.forEach((project) => {
+    [project.src, project.before].forEach((src) => {
+      if (src && fs.existsSync(path.join(ROOT, src))) files.add(src);
+    });
+  });
+  return Array.from(files).sort();
+}
+
+function previousHashes() {
+  if (!fs.existsSync(OUTPUT)) return {};
+  const hashes = {};
+  const { images } = JSON.parse(fs.readFileSync(OUTPUT, "utf8"));
+  Object.keys(images || {}).forEach((url) => (hashes[url] = images[url].hash));
+  return hashes;
+}
+
+async function build() {
+  const resizer = findResizer();
+  if (resizer) {
+    fs.mkdirSync(path.join(ROOT, VARIANTS_DIR), { recursive: true });
+  } else {
+    console.warn("No sharp or ImageMagick: listing existing variants only");
+  }
+  const previous = previousHashes();
+
+  const images = {};
+  let made = 0;
+  for (const file of sources()) {
+    const buffer = fs.readFileSync(path.join(ROOT, file));
+    const url = "/" + file;
+    const hash = hashOf(buffer);
+    const width = widthOf(buffer);
+    const changed = previous[url] !== hash;
+    const variants = {};
+
+    for (const w of WIDTHS.filter((w) => w < width)) {
+      const variant = `${VARIANTS_DIR}/${slugOf(file)}-${w}.jpg`;
+      const target = path.join(ROOT, variant);
+      if (resizer && (changed || !fs.existsSync(target))) {
+        try {
+          await resizer.resize(path.join(ROOT, file), target, w);
+          made += 1;
+        } catch (error) {
+          console.warn(`${variant}: ${error.message}`);
+          continue;
+        }
+      }
+      // A stale variant is worse than none: the original is served instead
+      if (fs.existsSync(target) && (!changed || resizer)) {
+        variants[w] = "/" + variant;
+      }
+    }
+
+    // The hash the variants on disk were made from, so a run without a
+    // resizer doesn't hide that they're out of date
+    const madeFrom = resizer || !changed ? hash : previous[url] || null;
+    images[url] = { width, hash: madeFrom, variants };
+  }
+
+  return { manifest: { version: 1, widths: WIDTHS, images }, made };
+}
+
+build().then(({ manifest, made }) => {
+  fs.writeFileSync(OUTPUT, JSON.stringify(manifest, null, 2) + "\n");
+  const count = Object.values(manifest.images).reduce(
+    (sum, image) => sum + Object.keys(image.variants).length,
+    0
+  );
+  console.log(
+    `Wrote data/image-variants.json (${Object.keys(manifest.images).length} ` +
+      `images, ${count} variants, ${made} resized)`
+  );
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Local sink for Real User Monitoring beacons (js/performance-monitor.js)
+ * - Accepts the beacon batches on POST /rum and appends each report, with
+ *   the batch's schema version and arrival time, to a JSON file
+ * - GET /rum returns everything collected so far
+ * - Batches with an unknown schema version are rejected (400), so a format
+ *   change shows up straight away
+ *
+ * For development only. Start it, then open a page on localhost with ?rum=local:
+ *   node tools/rum-sink.js                 (port 8787, ./rum-beacons.json)
+ *   node tools/rum-sink.js --port 9000 --out /tmp/rum.json
+ *
+ * No dependencies beyond Node itself.
+ */
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const SCHEMA_VERSIONS = [1, 2];
+const MAX_BODY_BYTES = 256 * 1024;
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(option("--port", 8787));
+const OUTPUT = path.resolve(option("--out", "rum-beacons.json"));
+
+function readAll() {
+  try {
+    return JSON.parse(fs.readFileSync(OUTPUT, "utf8"));
+  } catch (e) {
+    return [];
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    // Pages are served from another port; beacons don't preflight, but
+    // fetch(keepalive) fallbacks and GET from the console might
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body, null, 2));
+}
+
+function store(batch) {
+  if (!batch || !SCHEMA_VERSIONS.includes(batch.schema)) {
+    throw new Error(`unsupported schema: ${batch && batch.schema}`);
+  }
+  if (!Array.isArray(batch.reports)) throw new Error("reports must be a list");
+
+  const receivedAt = new Date().toISOString();
+  const all = readAll().concat(
+    batch.reports.map((report) =>
+      Object.assign({ schema: batch.schema, receivedAt }, report)
+    )
+  );
+  fs.writeFileSync(OUTPUT, JSON.stringify(all, null, 2) + "\n");
+  return batch.reports.length;
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (pathname !== "/rum") return send(res, 404, { error: "not found" });
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (req.method === "GET") return send(res, 200, readAll());
+  if (req.method !== "POST") return send(res, 405, { error: "use POST" });
+
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) req.destroy();
+  });
+  req.on("end", () => {
+    try {
+      const count = store(JSON.parse(body));
+      console.log(`${new Date().toLocaleTimeString()} +${count} report(s)`);
+      send(res, 204);
+    } catch (e) {
+      console.warn(`Rejected beacon: ${e.message}`);
+      send(res, 400, { error: e.message });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`RUM sink on http://localhost:${PORT}/rum, writing ${OUTPUT}`);
+});